@@ -107,3 +107,249 @@ CREATE TABLE IF NOT EXISTS pos (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
+
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth_users(user_id) ON DELETE CASCADE,
+    project_role TEXT NOT NULL DEFAULT 'member'
+        CHECK (project_role IN ('project_manager', 'site_engineer', 'po_approver', 'member')),
+    added_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS project_members_user_id_idx ON project_members (user_id);
+
+ALTER TABLE projects
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'planning'
+        CHECK (status IN ('planning', 'active', 'on_hold', 'completed', 'archived')),
+    ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS project_status_history (
+    history_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    reason TEXT,
+    changed_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS project_status_history_project_id_idx ON project_status_history (project_id);
+
+-- Numeric budget; estimate_value stays as the free-text figure from the work order
+ALTER TABLE projects
+    ADD COLUMN IF NOT EXISTS budget_amount NUMERIC CHECK (budget_amount >= 0),
+    ADD COLUMN IF NOT EXISTS budget_warn_percent NUMERIC NOT NULL DEFAULT 90 CHECK (budget_warn_percent > 0),
+    ADD COLUMN IF NOT EXISTS budget_block_percent NUMERIC CHECK (budget_block_percent > 0);
+
+CREATE TABLE IF NOT EXISTS project_budget_categories (
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    budget_amount NUMERIC NOT NULL CHECK (budget_amount >= 0),
+    updated_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, category)
+);
+
+ALTER TABLE pos
+    ADD COLUMN IF NOT EXISTS budget_category TEXT,
+    ADD COLUMN IF NOT EXISTS over_budget BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS project_milestones (
+    milestone_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    planned_start DATE,
+    planned_end DATE NOT NULL,
+    actual_start DATE,
+    actual_end DATE,
+    -- Manual override; NULL rolls progress up from linked ITRs
+    percent_complete NUMERIC CHECK (percent_complete BETWEEN 0 AND 100),
+    created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (planned_start IS NULL OR planned_start <= planned_end),
+    CHECK (actual_start IS NULL OR actual_end IS NULL OR actual_start <= actual_end)
+);
+
+CREATE INDEX IF NOT EXISTS project_milestones_project_id_idx ON project_milestones (project_id);
+
+CREATE TABLE IF NOT EXISTS project_milestone_dependencies (
+    milestone_id INTEGER NOT NULL REFERENCES project_milestones(milestone_id) ON DELETE CASCADE,
+    depends_on_id INTEGER NOT NULL REFERENCES project_milestones(milestone_id) ON DELETE CASCADE,
+    PRIMARY KEY (milestone_id, depends_on_id),
+    CHECK (milestone_id <> depends_on_id)
+);
+
+ALTER TABLE boqs ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES project_milestones(milestone_id) ON DELETE SET NULL;
+ALTER TABLE itrs ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES project_milestones(milestone_id) ON DELETE SET NULL;
+
+-- Child records that replace the legacy projects.pr_po_tracking, samples and
+-- ml_management arrays (moved over by migrate_project_records.js)
+CREATE TABLE IF NOT EXISTS project_pr_po_tracking (
+    tracking_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    pr_number TEXT,
+    pr_date DATE,
+    po_number TEXT,
+    po_date DATE,
+    po_id INTEGER REFERENCES pos(po_id) ON DELETE SET NULL,
+    vendor_name TEXT,
+    amount NUMERIC,
+    required_by DATE,
+    status TEXT NOT NULL DEFAULT 'pr_raised'
+        CHECK (status IN ('pr_raised', 'pr_approved', 'po_issued', 'delivered', 'closed', 'cancelled')),
+    remarks TEXT,
+    created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS project_samples (
+    sample_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    material TEXT NOT NULL,
+    description TEXT,
+    make TEXT,
+    vendor_name TEXT,
+    submitted_on DATE,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'submitted', 'approved', 'approved_with_comments', 'rejected')),
+    reviewed_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    remarks TEXT,
+    created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS project_material_list (
+    entry_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    material TEXT NOT NULL,
+    specification TEXT,
+    make TEXT,
+    unit TEXT,
+    quantity NUMERIC,
+    status TEXT NOT NULL DEFAULT 'proposed'
+        CHECK (status IN ('proposed', 'submitted', 'approved', 'rejected')),
+    reviewed_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    remarks TEXT,
+    created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS project_pr_po_tracking_project_id_idx ON project_pr_po_tracking (project_id);
+CREATE INDEX IF NOT EXISTS project_samples_project_id_idx ON project_samples (project_id);
+CREATE INDEX IF NOT EXISTS project_material_list_project_id_idx ON project_material_list (project_id);
+
+-- Timeline of create, update, delete and status events on a project's records.
+-- actor_name keeps who acted readable after the user or key is removed.
+CREATE TABLE IF NOT EXISTS project_activity (
+    activity_id BIGSERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('project', 'boq', 'mir', 'itr', 'po', 'file')),
+    entity_id INTEGER,
+    -- For file events, the record the file is attached to
+    related_type TEXT,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'status')),
+    summary TEXT NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    user_id UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    api_key_id UUID REFERENCES api_keys(key_id) ON DELETE SET NULL,
+    actor_name TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS project_activity_project_id_idx ON project_activity (project_id, created_at DESC);
+
+-- Project dossier ZIP builds. Large projects build in the background; the
+-- finished archive is kept under exports/dossiers until expires_at.
+CREATE TABLE IF NOT EXISTS project_exports (
+    export_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'building', 'ready', 'failed')),
+    file_name TEXT,
+    size_bytes BIGINT,
+    sha256 TEXT,
+    file_count INTEGER,
+    error TEXT,
+    requested_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS project_exports_project_id_idx ON project_exports (project_id);
+
+-- The record sections the requester could read when the export was queued;
+-- background builds include only these. Every row expires, whatever its status.
+ALTER TABLE project_exports
+    ADD COLUMN IF NOT EXISTS sections TEXT[] NOT NULL DEFAULT ARRAY['boq', 'mir', 'itr', 'po'];
+
+-- Spreadsheet column mapping for BOQ imports, saved per client (projects.client_name)
+CREATE TABLE IF NOT EXISTS boq_import_mappings (
+    mapping_id SERIAL PRIMARY KEY,
+    client_name TEXT NOT NULL,
+    mapping JSONB NOT NULL,
+    sheet TEXT,
+    header_row INTEGER CHECK (header_row >= 1),
+    updated_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS boq_import_mappings_client_idx ON boq_import_mappings (LOWER(client_name));
+
+-- Named BOQ revisions (Tender, R1, R2, ...): each freezes a copy of every BOQ
+-- line of the project. At most one revision per project is active.
+CREATE TABLE IF NOT EXISTS boq_revisions (
+    revision_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    activated_at TIMESTAMP,
+    item_count INTEGER NOT NULL DEFAULT 0,
+    total_amount NUMERIC NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS boq_revisions_name_idx ON boq_revisions (project_id, LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS boq_revisions_active_idx ON boq_revisions (project_id) WHERE is_active;
+
+-- boq_id is the live line the snapshot was taken from; it is not a foreign key
+-- so a revision keeps lines that were deleted afterwards.
+CREATE TABLE IF NOT EXISTS boq_revision_items (
+    revision_id INTEGER NOT NULL REFERENCES boq_revisions(revision_id) ON DELETE CASCADE,
+    boq_id INTEGER NOT NULL,
+    category TEXT,
+    item_code TEXT,
+    description TEXT,
+    floor TEXT,
+    unit TEXT,
+    quantity NUMERIC,
+    rate NUMERIC,
+    amount NUMERIC,
+    PRIMARY KEY (revision_id, boq_id)
+);
+
+-- MIR dynamic_field layouts carried over by POST /api/projects/:id/clone. They
+-- are kept apart from mirs so they never count as inspection requests.
+CREATE TABLE IF NOT EXISTS mir_templates (
+    template_id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    dynamic_field JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS mir_templates_project_id_idx ON mir_templates (project_id);
@@ -27,3 +27,99 @@ CREATE TRIGGER auth_users_set_updated_at
 BEFORE UPDATE ON auth_users
 FOR EACH ROW
 EXECUTE PROCEDURE set_updated_at();
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth_users(user_id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_token_hash TEXT,
+  device_name TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_id_idx ON auth_sessions (user_id);
+CREATE INDEX IF NOT EXISTS auth_sessions_previous_token_hash_idx ON auth_sessions (previous_token_hash);
+
+ALTER TABLE auth_users
+  ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_login_ip TEXT,
+  ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_failed_login_ip TEXT;
+
+ALTER TABLE auth_users
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS auth_recovery_codes (
+  code_id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth_users(user_id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS auth_recovery_codes_user_id_idx ON auth_recovery_codes (user_id);
+
+CREATE TABLE IF NOT EXISTS auth_role_policies (
+  role TEXT PRIMARY KEY CHECK (role IN ('admin', 'operational_manager', 'po_officer', 'labour')),
+  require_two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS auth_invitations (
+  invitation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL,
+  name TEXT,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'operational_manager', 'po_officer', 'labour')),
+  project_list TEXT[] NOT NULL DEFAULT '{}'::text[],
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_user_id UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS auth_invitations_email_idx ON auth_invitations (email);
+
+ALTER TABLE auth_users
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deactivated_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS service_accounts (
+  service_account_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  disabled_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_account_id UUID NOT NULL REFERENCES service_accounts(service_account_id) ON DELETE CASCADE,
+  name TEXT,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  project_list TEXT[],
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  created_by UUID REFERENCES auth_users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_service_account_id_idx ON api_keys (service_account_id);
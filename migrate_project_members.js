@@ -0,0 +1,73 @@
+require("dotenv").config();
+const { pool } = require("./src/db");
+const fs = require("fs");
+const path = require("path");
+const { syncProjectMembers } = require("./src/utils/projectMembers");
+
+// Converts the free-text auth_users.project_list entries into project_members
+// rows. Project owners (projects.user_id) become project managers. Entries that
+// do not name an existing project are listed; pass --prune to also remove them
+// from project_list. Safe to run more than once.
+async function migrateProjectMembers() {
+  const prune = process.argv.includes("--prune");
+  const client = await pool.connect();
+
+  try {
+    const sql = fs.readFileSync(path.join(__dirname, "db/project_schema.sql"), "utf8");
+    await client.query(sql);
+
+    await client.query("BEGIN");
+
+    const unresolved = await client.query(
+      `SELECT u.email, entry.code
+       FROM auth_users u
+       CROSS JOIN LATERAL unnest(u.project_list) AS entry(code)
+       WHERE NOT EXISTS (SELECT 1 FROM projects p WHERE p.project_id::text = btrim(entry.code))
+       ORDER BY u.email`
+    );
+
+    await client.query(
+      `UPDATE auth_users u
+       SET project_list = array_append(u.project_list, p.project_id::text)
+       FROM projects p
+       WHERE p.user_id = u.user_id AND NOT (p.project_id::text = ANY(u.project_list))`
+    );
+
+    await syncProjectMembers(client, null);
+
+    await client.query(
+      `UPDATE project_members m SET project_role = 'project_manager'
+       FROM projects p
+       WHERE p.project_id = m.project_id AND p.user_id = m.user_id AND m.project_role = 'member'`
+    );
+
+    if (prune) {
+      await client.query(
+        `UPDATE auth_users u
+         SET project_list = COALESCE(
+           (SELECT array_agg(m.project_id::text ORDER BY m.project_id) FROM project_members m WHERE m.user_id = u.user_id),
+           '{}'::text[]
+         )`
+      );
+    }
+
+    await client.query("COMMIT");
+
+    const members = await client.query("SELECT COUNT(*)::int AS count FROM project_members");
+    console.log(`Project memberships: ${members.rows[0].count}`);
+
+    if (unresolved.rows.length > 0) {
+      console.log(`Entries that match no project${prune ? " (removed from project_list)" : ""}:`);
+      unresolved.rows.forEach((row) => console.log(`  ${row.email}: "${row.code}"`));
+    }
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error migrating project members:", error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    pool.end();
+  }
+}
+
+migrateProjectMembers();
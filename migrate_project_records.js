@@ -0,0 +1,52 @@
+require("dotenv").config();
+const { pool } = require("./src/db");
+const fs = require("fs");
+const path = require("path");
+const { PROJECT_RECORD_TYPES, legacyEntryFields, insertRecord } = require("./src/utils/projectRecords");
+
+// Moves the projects.pr_po_tracking, samples and ml_management array entries
+// into their child tables and empties the arrays. Entries that hold a JSON
+// object keep the fields that match; anything else becomes the record's
+// description or material. Safe to run more than once.
+async function migrateProjectRecords() {
+  const client = await pool.connect();
+
+  try {
+    const sql = fs.readFileSync(path.join(__dirname, "db/project_schema.sql"), "utf8");
+    await client.query(sql);
+
+    await client.query("BEGIN");
+
+    for (const [column, spec] of Object.entries(PROJECT_RECORD_TYPES)) {
+      const projects = await client.query(
+        `SELECT project_id, user_id, ${column} AS entries FROM projects
+         WHERE cardinality(${column}) > 0
+         ORDER BY project_id`
+      );
+
+      let created = 0;
+      for (const project of projects.rows) {
+        for (const entry of project.entries) {
+          const fields = legacyEntryFields(spec, entry);
+          if (!fields) continue;
+          await insertRecord(client, spec, project.project_id, fields, project.user_id);
+          created += 1;
+        }
+      }
+
+      await client.query(`UPDATE projects SET ${column} = '{}' WHERE cardinality(${column}) > 0`);
+      console.log(`${column}: ${created} records from ${projects.rows.length} projects -> ${spec.table}`);
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error migrating project records:", error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    pool.end();
+  }
+}
+
+migrateProjectRecords();
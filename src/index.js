@@ -1,17 +1,31 @@
 const express = require("express");
+const path = require("path");
 require("dotenv").config();
 const cors = require("cors");
 
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./swagger");
+const { authenticate } = require("./middleware/auth");
 
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
+const invitationRoutes = require("./routes/invitations");
+const meRoutes = require("./routes/me");
+const serviceAccountRoutes = require("./routes/serviceAccounts");
+const userImportRoutes = require("./routes/userImport");
 const projectRoutes = require("./routes/projects");
 const compressionRoutes = require("./routes/compression");
 const boqRoutes = require("./routes/boq");
+const boqImportRoutes = require("./routes/boqImport");
+const boqRevisionRoutes = require("./routes/boqRevisions");
 const mirRoutes = require("./routes/mir");
 const itrRoutes = require("./routes/itr");
 const poRoutes = require("./routes/po");
+const milestoneRoutes = require("./routes/milestones");
+const { prPoTrackingRouter, samplesRouter, materialListRouter } = require("./routes/projectRecords");
+const dossierRoutes = require("./routes/dossier");
+const { pool } = require("./db");
+const { resumeExports } = require("./utils/projectDossier");
 
 const app = express();
 
@@ -20,6 +34,11 @@ app.use(express.json());
 // Serve static files like images, etc.
 app.use(express.static("public"));
 
+// Password reset and invitation emails link here; the dashboard page shows the matching form
+app.get(["/reset-password", "/accept-invite"], (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/index.html"));
+});
+
 // Serve uploaded files via the URL path "/uploads"
 app.use("/uploads", express.static("uploads"));
 
@@ -39,14 +58,29 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
+// Every /api route requires a valid bearer token except login and signup
+app.use("/api", authenticate);
+
 // API Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/invitations", invitationRoutes);
+app.use("/api/auth/me", meRoutes);
+app.use("/api/auth/service-accounts", serviceAccountRoutes);
+app.use("/api/auth/users/import", userImportRoutes);
+app.use("/api/projects/:id/pr-po-tracking", prPoTrackingRouter);
+app.use("/api/projects/:id/samples", samplesRouter);
+app.use("/api/projects/:id/material-list", materialListRouter);
+app.use("/api/projects/:id/dossier", dossierRoutes);
 app.use("/api/projects", projectRoutes);
 app.use("/api/compress", compressionRoutes);
+app.use("/api/boq/import", boqImportRoutes);
+app.use("/api/boq/project/:projectId/revisions", boqRevisionRoutes);
 app.use("/api/boq", boqRoutes);
 app.use("/api/mir", mirRoutes);
 app.use("/api/itr", itrRoutes);
 app.use("/api/po", poRoutes);
+app.use("/api/milestones", milestoneRoutes);
 
 // 404 Error for undefined routes
 app.use((req, res) => {
@@ -58,4 +92,5 @@ const port = process.env.PORT ? Number(process.env.PORT) : 3000;
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
+  resumeExports(pool).catch((error) => console.error("Error resuming dossier exports:", error));
 });
@@ -0,0 +1,132 @@
+const jwt = require("jsonwebtoken");
+const { findActiveSession } = require("../utils/sessions");
+const { isApiKey, findActiveApiKey } = require("../utils/apiKeys");
+
+// Routes under /api that can be reached without a bearer token
+const PUBLIC_PATHS = new Set([
+  "/auth/login",
+  "/auth/signup",
+  "/auth/forgot-password",
+  "/auth/reset-password",
+  "/auth/refresh",
+  "/auth/login/2fa",
+  "/auth/invitations/accept",
+]);
+
+// All a session may reach while its role requires 2FA the user has not enrolled
+const TWO_FACTOR_SETUP_PATHS = new Set(["/auth/2fa/setup", "/auth/2fa/verify", "/auth/logout"]);
+
+function unauthorized(res, message) {
+  res.set("WWW-Authenticate", 'Bearer realm="api"');
+  return res.status(401).json({ error: message });
+}
+
+function readBearerToken(req) {
+  const header = req.get("authorization");
+  if (!header) return null;
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) return null;
+
+  return token;
+}
+
+/**
+ * Resolves a service-account API key (sent as a bearer token or X-API-Key).
+ * Keys carry scopes instead of a role and never reach the /auth routes, which
+ * all act on a human user.
+ */
+async function authenticateApiKey(req, res, next, secret) {
+  if (req.path.startsWith("/auth/") || req.path === "/auth") {
+    return res.status(403).json({ error: "API keys cannot access this endpoint" });
+  }
+
+  try {
+    const key = await findActiveApiKey(secret, req.ip);
+    if (!key) {
+      return unauthorized(res, "invalid API key");
+    }
+
+    req.user = {
+      user_id: null,
+      email: null,
+      role: null,
+      service_account_id: key.service_account_id,
+      service_account_name: key.service_account_name,
+      api_key_id: key.key_id,
+      scopes: key.scopes,
+      project_list: key.project_list,
+    };
+    return next();
+  } catch (error) {
+    console.error("API key authentication error:", error);
+    return res.status(500).json({ error: "failed to authenticate" });
+  }
+}
+
+/**
+ * Verifies the bearer JWT issued by /api/auth/login and /api/auth/signup,
+ * checks that its session has not been revoked and attaches the user (with
+ * the role currently stored in auth_users) to req.user. Service-account API
+ * keys are accepted as well. Mounted on /api, so req.path is relative to that
+ * prefix.
+ */
+async function authenticate(req, res, next) {
+  if (req.method === "OPTIONS" || PUBLIC_PATHS.has(req.path.replace(/\/+$/, ""))) {
+    return next();
+  }
+
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ error: "JWT_SECRET is not configured" });
+  }
+
+  const token = readBearerToken(req) || req.get("x-api-key");
+  if (!token) {
+    return unauthorized(res, "authentication required");
+  }
+
+  if (isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return unauthorized(res, "token expired");
+    }
+    return unauthorized(res, "invalid token");
+  }
+
+  if (!decoded.session_id) {
+    return unauthorized(res, "invalid token");
+  }
+
+  try {
+    const session = await findActiveSession(decoded.session_id, decoded.user_id);
+    if (!session) {
+      return unauthorized(res, "session revoked");
+    }
+
+    if (session.two_factor_setup_required && !TWO_FACTOR_SETUP_PATHS.has(req.path.replace(/\/+$/, ""))) {
+      return res.status(403).json({
+        error: "two-factor authentication must be set up for your role",
+        two_factor_setup_required: true,
+      });
+    }
+
+    req.user = {
+      user_id: session.user_id,
+      email: session.email,
+      role: session.role,
+      session_id: session.session_id,
+    };
+    return next();
+  } catch (error) {
+    console.error("Authentication error:", error);
+    return res.status(500).json({ error: "failed to authenticate" });
+  }
+}
+
+module.exports = { authenticate, readBearerToken, PUBLIC_PATHS };
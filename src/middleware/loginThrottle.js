@@ -0,0 +1,92 @@
+/**
+ * In-memory login throttling. Per-IP failures are counted in a fixed window;
+ * failures against emails that have no account are tracked here with the same
+ * progressive lockout that auth_users applies to real accounts, so responses
+ * do not reveal whether an email is registered. State is per process and
+ * resets on restart, which is acceptable for a single API instance.
+ */
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 1;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+const ipFailures = new Map();
+const unknownAccountFailures = new Map();
+
+// Doubles with every lockout the account has already served: 1, 2, 4 ... minutes
+function lockoutDurationMs(previousLockouts) {
+  const minutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** previousLockouts, MAX_LOCKOUT_MINUTES);
+  return minutes * 60 * 1000;
+}
+
+function secondsUntil(timestamp) {
+  return Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+function ipRetryAfter(ip) {
+  const entry = ipFailures.get(ip);
+  if (!entry) return 0;
+
+  if (entry.windowEndsAt <= Date.now()) {
+    ipFailures.delete(ip);
+    return 0;
+  }
+  return entry.count >= IP_MAX_ATTEMPTS ? secondsUntil(entry.windowEndsAt) : 0;
+}
+
+function recordIpFailure(ip) {
+  const now = Date.now();
+  const entry = ipFailures.get(ip);
+
+  if (!entry || entry.windowEndsAt <= now) {
+    ipFailures.set(ip, { count: 1, windowEndsAt: now + IP_WINDOW_MINUTES * 60 * 1000 });
+    return;
+  }
+  entry.count += 1;
+}
+
+function unknownAccountRetryAfter(email) {
+  const entry = unknownAccountFailures.get(email);
+  if (!entry || !entry.lockedUntil || entry.lockedUntil <= Date.now()) return 0;
+  return secondsUntil(entry.lockedUntil);
+}
+
+function recordUnknownAccountFailure(email) {
+  const entry = unknownAccountFailures.get(email) || { count: 0, lockouts: 0, lockedUntil: 0 };
+  entry.count += 1;
+  entry.lastFailureAt = Date.now();
+
+  if (entry.count >= MAX_ATTEMPTS) {
+    entry.lockedUntil = Date.now() + lockoutDurationMs(entry.lockouts);
+    entry.lockouts += 1;
+    entry.count = 0;
+  }
+
+  unknownAccountFailures.set(email, entry);
+  return entry.lockedUntil > Date.now() ? secondsUntil(entry.lockedUntil) : 0;
+}
+
+// Drop stale entries so the maps cannot grow without bound
+const sweep = setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of ipFailures) {
+    if (entry.windowEndsAt <= now) ipFailures.delete(ip);
+  }
+  const idleLimit = MAX_LOCKOUT_MINUTES * 60 * 1000;
+  for (const [email, entry] of unknownAccountFailures) {
+    if (Math.max(entry.lockedUntil, entry.lastFailureAt) + idleLimit <= now) {
+      unknownAccountFailures.delete(email);
+    }
+  }
+}, 10 * 60 * 1000);
+sweep.unref();
+
+module.exports = {
+  MAX_ATTEMPTS,
+  lockoutDurationMs,
+  ipRetryAfter,
+  recordIpFailure,
+  unknownAccountRetryAfter,
+  recordUnknownAccountFailure,
+};
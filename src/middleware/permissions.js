@@ -0,0 +1,104 @@
+const ACTIONS = ["read", "create", "update", "delete"];
+const ALL = ACTIONS;
+
+/**
+ * Role -> resource -> allowed actions. A resource missing from a role's entry
+ * means no access at all. Keep role names in sync with the auth_users.role
+ * CHECK constraint in db/schema.sql.
+ */
+const PERMISSION_MATRIX = {
+  admin: {
+    project: ALL,
+    boq: ALL,
+    mir: ALL,
+    itr: ALL,
+    po: ALL,
+    user: ALL,
+    compression: ["create"],
+  },
+  operational_manager: {
+    project: ["read", "create", "update"],
+    boq: ALL,
+    mir: ALL,
+    itr: ALL,
+    po: ["read", "create", "update"],
+    user: ["read"],
+    compression: ["create"],
+  },
+  po_officer: {
+    project: ["read"],
+    boq: ["read"],
+    mir: ["read"],
+    itr: ["read"],
+    po: ALL,
+    compression: ["create"],
+  },
+  labour: {
+    project: ["read"],
+    boq: ["read"],
+    mir: ["read", "create", "update"],
+    itr: ["read", "create", "update"],
+    compression: ["create"],
+  },
+};
+
+const RESOURCES = ["project", "boq", "mir", "itr", "po", "user", "compression"];
+const ALLOWED_ROLES = new Set(Object.keys(PERMISSION_MATRIX));
+
+function can(role, resource, action) {
+  const grants = PERMISSION_MATRIX[role];
+  if (!grants || !grants[resource]) return false;
+  return grants[resource].includes(action);
+}
+
+function permissionsFor(role) {
+  const grants = PERMISSION_MATRIX[role] || {};
+  return RESOURCES.reduce((acc, resource) => {
+    acc[resource] = [...(grants[resource] || [])];
+    return acc;
+  }, {});
+}
+
+/**
+ * Whether the authenticated caller may perform `action` on `resource`. API
+ * keys are limited to their own scopes rather than a role.
+ */
+function hasPermission(req, resource, action) {
+  if (!req.user) return false;
+  if (req.user.scopes) return req.user.scopes.includes(`${resource}:${action}`);
+  return can(req.user.role, resource, action);
+}
+
+/**
+ * Express middleware that rejects the request with 403 unless req.user's role
+ * grants `action` on `resource`. Must run after authenticate.
+ */
+function requirePermission(resource, action) {
+  const permission = `${resource}:${action}`;
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "authentication required" });
+    }
+
+    if (!hasPermission(req, resource, action)) {
+      return res.status(403).json({
+        error: `missing permission ${permission}`,
+        missing_permission: permission,
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  ALLOWED_ROLES,
+  RESOURCES,
+  PERMISSION_MATRIX,
+  can,
+  hasPermission,
+  permissionsFor,
+  requirePermission,
+};
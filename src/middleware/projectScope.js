@@ -0,0 +1,87 @@
+const { pool } = require("../db");
+const { listProjectIdsForUser } = require("../utils/projectMembers");
+
+function toProjectIds(list) {
+  return list
+    .map((value) => Number(String(value).trim()))
+    .filter((value) => Number.isInteger(value));
+}
+
+/**
+ * Resolves which projects the current user may touch. Admins get `null`
+ * (no restriction); everyone else gets the projects they are a member of in
+ * project_members, read fresh from the database so assignment changes apply
+ * without a new token. API keys use the key's own project_list, where
+ * NULL means every project. The result is cached on the request.
+ */
+async function getProjectScope(req) {
+  if (req.projectScope !== undefined) return req.projectScope;
+
+  if (req.user.api_key_id) {
+    req.projectScope = req.user.project_list ? toProjectIds(req.user.project_list) : null;
+    return req.projectScope;
+  }
+
+  if (req.user.role === "admin") {
+    req.projectScope = null;
+    return null;
+  }
+
+  req.projectScope = await listProjectIdsForUser(req.user.user_id);
+  return req.projectScope;
+}
+
+function inProjectScope(scope, projectId) {
+  if (scope === null) return true;
+  return scope.includes(Number(projectId));
+}
+
+/**
+ * Returns a SQL condition restricting `column` to the scoped project ids,
+ * pushing the id array onto `values`. Unrestricted scopes still exclude
+ * soft-deleted projects (scoped id lists never contain them). The result can
+ * always be ANDed into a WHERE clause.
+ */
+function projectScopeCondition(scope, column, values) {
+  if (scope === null) {
+    return `(${column} IS NULL OR ${column} NOT IN (SELECT d.project_id FROM projects d WHERE d.deleted_at IS NOT NULL))`;
+  }
+  values.push(scope);
+  return `${column} = ANY($${values.length}::int[])`;
+}
+
+/**
+ * Rejects requests whose `:param` project is outside the caller's scope, and
+ * answers 404 for soft-deleted projects.
+ */
+function requireProjectAccess(param = "projectId") {
+  return async (req, res, next) => {
+    try {
+      const scope = await getProjectScope(req);
+      if (!inProjectScope(scope, req.params[param])) {
+        return res.status(403).json({ error: "access to this project is denied" });
+      }
+
+      if (scope === null && Number.isInteger(Number(req.params[param]))) {
+        const deleted = await pool.query(
+          "SELECT 1 FROM projects WHERE project_id = $1 AND deleted_at IS NOT NULL",
+          [req.params[param]]
+        );
+        if (deleted.rowCount > 0) {
+          return res.status(404).json({ error: "Project not found" });
+        }
+      }
+      return next();
+    } catch (error) {
+      console.error("Project scope error:", error);
+      return res.status(500).json({ error: "failed to resolve project access" });
+    }
+  };
+}
+
+module.exports = {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+};
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const { pool } = require("../db");
+const { isSerialId } = require("../utils/ids");
+
+const PROJECT_STATUSES = ["planning", "active", "on_hold", "completed", "archived"];
+
+// Allowed next statuses; archived projects can only be reopened as completed
+const STATUS_TRANSITIONS = {
+  planning: ["active", "on_hold", "archived"],
+  active: ["on_hold", "completed"],
+  on_hold: ["active", "completed", "archived"],
+  completed: ["active", "archived"],
+  archived: ["completed"],
+};
+
+// Projects in these statuses accept no writes to themselves or their records
+const READ_ONLY_STATUSES = ["archived"];
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Discard files multer already stored when the request is rejected afterwards
+function discardUploads(req) {
+  const files = [];
+  if (req.file) files.push(req.file);
+  if (req.files) {
+    Object.values(req.files).forEach((entry) => files.push(...(Array.isArray(entry) ? entry : [entry])));
+  }
+  files.forEach((file) => {
+    if (file.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+}
+
+async function findProjectState(projectId, db = pool) {
+  const result = await db.query(
+    "SELECT project_id, status, deleted_at FROM projects WHERE project_id = $1",
+    [projectId]
+  );
+  return result.rowCount > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Rejects writes that touch an archived (409) or deleted (404) project.
+ * `resolveProjectId(req)` names the project the request writes to; requests
+ * it resolves to nothing are left for the route to handle. Run it after
+ * multer so the body is parsed.
+ */
+function requireWritableProject(resolveProjectId) {
+  return async (req, res, next) => {
+    try {
+      const projectId = await resolveProjectId(req);
+      if (!isSerialId(projectId)) {
+        return next();
+      }
+
+      const project = await findProjectState(projectId);
+      if (project && project.deleted_at) {
+        discardUploads(req);
+        return res.status(404).json({ error: "Project not found" });
+      }
+      if (project && READ_ONLY_STATUSES.includes(project.status)) {
+        discardUploads(req);
+        return res.status(409).json({ error: `project is ${project.status} and read-only` });
+      }
+      return next();
+    } catch (error) {
+      console.error("Project state error:", error);
+      return res.status(500).json({ error: "failed to resolve project state" });
+    }
+  };
+}
+
+const projectFromBody = (req) => req.body && req.body.project_id;
+
+const projectFromParam = (param) => (req) => req.params[param];
+
+/**
+ * Resolves the project of the record addressed by req.params.id.
+ */
+function projectFromRecord(table, idColumn) {
+  return async (req) => {
+    if (!isSerialId(req.params.id)) return null;
+    const result = await pool.query(`SELECT project_id FROM ${table} WHERE ${idColumn} = $1`, [req.params.id]);
+    return result.rowCount > 0 ? result.rows[0].project_id : null;
+  };
+}
+
+module.exports = {
+  PROJECT_STATUSES,
+  STATUS_TRANSITIONS,
+  READ_ONLY_STATUSES,
+  canTransition,
+  findProjectState,
+  discardUploads,
+  requireWritableProject,
+  projectFromBody,
+  projectFromParam,
+  projectFromRecord,
+};
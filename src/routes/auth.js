@@ -1,7 +1,36 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { pool } = require("../db");
+const { sendMail } = require("../utils/mailer");
+const { hashToken, randomToken } = require("../utils/tokens");
+const loginThrottle = require("../middleware/loginThrottle");
+const {
+  normalizeEmail,
+  normalizePhone,
+  normalizeProjectList,
+  sanitizeUser,
+  findIdentityConflict,
+} = require("../utils/users");
+const {
+  buildChallengeToken,
+  readChallengeToken,
+  consumeRecoveryCode,
+  verifyUserTotp,
+} = require("../utils/twoFactor");
+const {
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const { findUnknownProjects, syncProjectMembers } = require("../utils/projectMembers");
+const {
+  ALLOWED_ROLES,
+  permissionsFor,
+  requirePermission,
+} = require("../middleware/permissions");
+const { isUuid } = require("../utils/ids");
 
 /**
  * @swagger
@@ -15,7 +44,8 @@ const { pool } = require("../db");
  *         - role
  *       properties:
  *         user_id:
- *           type: integer
+ *           type: string
+ *           format: uuid
  *           description: The auto-generated id of the user
  *         name:
  *           type: string
@@ -34,18 +64,73 @@ const { pool } = require("../db");
  *           items:
  *             type: string
  *           description: List of projects assigned to the user
+ *         last_login_at:
+ *           type: string
+ *           format: date-time
+ *         last_failed_login_at:
+ *           type: string
+ *           format: date-time
+ *         failed_login_attempts:
+ *           type: integer
+ *           description: Consecutive failures since the last success or lockout
+ *         locked_until:
+ *           type: string
+ *           format: date-time
+ *           description: Set while the account is locked after repeated failures
+ *         is_active:
+ *           type: boolean
+ *           description: False once deactivated; deactivated users cannot log in
+ *         deactivated_at:
+ *           type: string
+ *           format: date-time
  *     AuthResponse:
  *       type: object
  *       properties:
  *         token:
  *           type: string
- *           description: JWT token
+ *           description: Short-lived JWT access token
+ *         refresh_token:
+ *           type: string
+ *           description: Opaque token for /api/auth/refresh; rotated on every use
+ *         expires_in:
+ *           type: string
+ *           description: Access token lifetime (e.g. 15m)
  *         user:
  *           $ref: '#/components/schemas/User'
+ *     Session:
+ *       type: object
+ *       properties:
+ *         session_id:
+ *           type: string
+ *           format: uuid
+ *         device_name:
+ *           type: string
+ *         user_agent:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
  */
 
 const router = express.Router();
-const ALLOWED_ROLES = new Set(["admin", "operational_manager", "po_officer", "labour"]);
+// Self-registration is off unless ALLOW_OPEN_SIGNUP=true; invitations always work
+const OPEN_SIGNUP_ENABLED = process.env.ALLOW_OPEN_SIGNUP === "true";
+// Self-registered accounts get the lowest-privilege role and no projects; an
+// admin promotes them or assigns projects afterwards
+const SELF_SIGNUP_ROLE = "labour";
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Compared against when the email is unknown so both paths cost one bcrypt check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("madhuram-placeholder-password", 12);
 
 /**
  * @swagger
@@ -54,11 +139,72 @@ const ALLOWED_ROLES = new Set(["admin", "operational_manager", "po_officer", "la
  *   description: Authentication and User Management API
  */
 
+// Locked accounts, unknown-email lockouts and IP throttling all answer the same way
+function tooManyAttempts(res, retryAfterSeconds) {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({ error: "too many failed login attempts, try again later" });
+}
+
+function secondsLocked(lockedUntil) {
+  if (!lockedUntil) return 0;
+  const remaining = new Date(lockedUntil).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Counts a failed password or second-factor check against the account and the
+ * client IP. Returns the lockout length in seconds when this failure locked
+ * the account, otherwise 0.
+ */
+async function recordFailedLogin(user, req) {
+  loginThrottle.recordIpFailure(req.ip);
+
+  const failure = await pool.query(
+    `UPDATE auth_users SET
+       failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+       lockout_count = CASE WHEN failed_login_attempts + 1 >= $2 THEN lockout_count + 1 ELSE lockout_count END,
+       locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(secs => $3) ELSE locked_until END,
+       last_failed_login_at = NOW(),
+       last_failed_login_ip = $4
+     WHERE user_id = $1
+     RETURNING locked_until`,
+    [
+      user.user_id,
+      loginThrottle.MAX_ATTEMPTS,
+      loginThrottle.lockoutDurationMs(user.lockout_count) / 1000,
+      req.ip,
+    ]
+  );
+
+  return failure.rowCount > 0 ? secondsLocked(failure.rows[0].locked_until) : 0;
+}
+
+// Records the successful login and opens a session
+async function completeLogin(user, req) {
+  await pool.query(
+    `UPDATE auth_users SET
+       failed_login_attempts = 0,
+       lockout_count = 0,
+       locked_until = NULL,
+       last_login_at = NOW(),
+       last_login_ip = $2
+     WHERE user_id = $1`,
+    [user.user_id, req.ip]
+  );
+
+  const tokens = await createSession(user, req);
+  return { ...tokens, user: sanitizeUser(user), message: "login successful" };
+}
+
 /**
  * @swagger
  * /api/auth/signup:
  *   post:
+ *     security: []
  *     summary: Register a new user
+ *     description: >
+ *       Only available when ALLOW_OPEN_SIGNUP=true; otherwise users join through an invitation.
+ *       Self-registered users always get the labour role and no projects.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -70,7 +216,6 @@ const ALLOWED_ROLES = new Set(["admin", "operational_manager", "po_officer", "la
  *               - username
  *               - email
  *               - password
- *               - role
  *             properties:
  *               username:
  *                 type: string
@@ -84,11 +229,8 @@ const ALLOWED_ROLES = new Set(["admin", "operational_manager", "po_officer", "la
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, operational_manager, po_officer, labour]
- *               project:
- *                 type: array
- *                 items:
- *                   type: string
+ *                 enum: [labour]
+ *                 description: Optional; any other role is rejected
  *     responses:
  *       201:
  *         description: User created successfully
@@ -97,44 +239,22 @@ const ALLOWED_ROLES = new Set(["admin", "operational_manager", "po_officer", "la
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Bad request (missing fields or invalid role)
+ *         description: Bad request (missing fields, or a role or projects were requested)
+ *       403:
+ *         description: Open signup is disabled (ALLOW_OPEN_SIGNUP is not true); use an invitation
  *       409:
  *         description: Email or phone number already exists
  *       500:
  *         description: Server error
  */
-function normalizeEmail(email) {
-  return String(email).trim().toLowerCase();
-}
-
-function normalizePhone(phoneNumber) {
-  return String(phoneNumber).trim();
-}
-
-function sanitizeUser(row) {
-  return {
-    user_id: row.user_id,
-    username: row.name,
-    name: row.name,
-    email: row.email,
-    phone_number: row.phone_number,
-    role: row.role,
-    project_list: row.project_list || [],
-  };
-}
-
-function buildToken(user) {
-  const payload = {
-    user_id: user.user_id,
-    email: user.email,
-    role: user.role,
-  };
-
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
-}
-
 router.post("/signup", async (req, res) => {
   try {
+    if (!OPEN_SIGNUP_ENABLED) {
+      return res
+        .status(403)
+        .json({ error: "open signup is disabled; ask an administrator for an invitation" });
+    }
+
     const {
       username,
       name,
@@ -147,10 +267,18 @@ router.post("/signup", async (req, res) => {
     } = req.body;
     const usernameValue = username ?? name;
 
-    if (!usernameValue || !email || !phone_number || !password || !role) {
+    if (!usernameValue || !email || !phone_number || !password) {
       return res
         .status(400)
-        .json({ error: "username, email, phone_number, password, and role are required" });
+        .json({ error: "username, email, phone_number and password are required" });
+    }
+
+    if (role !== undefined && role !== null && String(role).trim() !== SELF_SIGNUP_ROLE) {
+      return res.status(400).json({ error: `self-registered users get the ${SELF_SIGNUP_ROLE} role; ask an administrator for another role` });
+    }
+
+    if (normalizeProjectList(project, project_list).length > 0) {
+      return res.status(400).json({ error: "projects are assigned by an administrator" });
     }
 
     if (!process.env.JWT_SECRET) {
@@ -159,48 +287,25 @@ router.post("/signup", async (req, res) => {
 
     const normalizedEmail = normalizeEmail(email);
     const normalizedPhone = normalizePhone(phone_number);
-    const roleValue = String(role).trim();
 
-    if (!ALLOWED_ROLES.has(roleValue)) {
-      return res.status(400).json({ error: "invalid role" });
-    }
-
-    const existing = await pool.query(
-      "SELECT email, phone_number FROM auth_users WHERE email = $1 OR phone_number = $2",
-      [normalizedEmail, normalizedPhone]
-    );
-
-    if (existing.rowCount > 0) {
-      const emailExists = existing.rows.some((row) => row.email === normalizedEmail);
-      const phoneExists = existing.rows.some((row) => row.phone_number === normalizedPhone);
-      if (emailExists) {
-        return res.status(409).json({ error: "email already exists" });
-      }
-      if (phoneExists) {
-        return res.status(409).json({ error: "phone number already exists" });
-      }
+    const conflict = await findIdentityConflict(pool, normalizedEmail, normalizedPhone);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
     }
 
     const passwordHash = await bcrypt.hash(String(password), 12);
-    const projects = Array.isArray(project)
-      ? project.map((value) => String(value))
-      : Array.isArray(project_list)
-        ? project_list.map((value) => String(value))
-        : project
-          ? [String(project).trim()]
-          : [];
 
     const insert = await pool.query(
       `INSERT INTO auth_users (name, email, phone_number, password_hash, role, project_list)
        VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING user_id, name, email, phone_number, role, project_list`,
-      [String(usernameValue).trim(), normalizedEmail, normalizedPhone, passwordHash, roleValue, projects]
+      [String(usernameValue).trim(), normalizedEmail, normalizedPhone, passwordHash, SELF_SIGNUP_ROLE, []]
     );
 
     const user = sanitizeUser(insert.rows[0]);
-    const token = buildToken(user);
+    const tokens = await createSession(user, req);
 
-    return res.status(201).json({ token, user });
+    return res.status(201).json({ ...tokens, user });
   } catch (error) {
     console.error("Signup error:", error);
     return res.status(500).json({ error: "failed to sign up" });
@@ -211,6 +316,7 @@ router.post("/signup", async (req, res) => {
  * @swagger
  * /api/auth/login:
  *   post:
+ *     security: []
  *     summary: Log in a user
  *     tags: [Auth]
  *     requestBody:
@@ -229,7 +335,7 @@ router.post("/signup", async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `two_factor_required` with a `challenge_token` for /api/auth/login/2fa
  *         content:
  *           application/json:
  *             schema:
@@ -237,7 +343,9 @@ router.post("/signup", async (req, res) => {
  *       400:
  *         description: Missing email or password
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials (same response whether the email or the password is wrong)
+ *       429:
+ *         description: Too many failed attempts for this account or IP; see the Retry-After header
  *       500:
  *         description: Server error
  */
@@ -255,53 +363,421 @@ router.post("/login", async (req, res) => {
 
     const normalizedEmail = normalizeEmail(email);
 
+    const ipRetry = loginThrottle.ipRetryAfter(req.ip);
+    if (ipRetry > 0) {
+      return tooManyAttempts(res, ipRetry);
+    }
+
     const result = await pool.query(
-      `SELECT user_id, name, email, phone_number, password_hash, role, project_list
+      `SELECT user_id, name, email, phone_number, password_hash, role, project_list,
+              lockout_count, locked_until, totp_enabled, is_active
        FROM auth_users
        WHERE email = $1`,
       [normalizedEmail]
     );
 
     if (result.rowCount === 0) {
+      const unknownRetry = loginThrottle.unknownAccountRetryAfter(normalizedEmail);
+      if (unknownRetry > 0) {
+        return tooManyAttempts(res, unknownRetry);
+      }
+
+      // Spend the same bcrypt time as a real check so timing does not reveal the miss
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      loginThrottle.recordIpFailure(req.ip);
+      const lockedFor = loginThrottle.recordUnknownAccountFailure(normalizedEmail);
+      if (lockedFor > 0) {
+        return tooManyAttempts(res, lockedFor);
+      }
       return res.status(401).json({ error: "invalid credentials" });
     }
 
     const user = result.rows[0];
+
+    const lockedFor = secondsLocked(user.locked_until);
+    if (lockedFor > 0) {
+      return tooManyAttempts(res, lockedFor);
+    }
+
     const matches = await bcrypt.compare(String(password), user.password_hash);
 
     if (!matches) {
-      return res.status(401).json({ error: "password does not match" });
+      const retryAfter = await recordFailedLogin(user, req);
+      if (retryAfter > 0) {
+        return tooManyAttempts(res, retryAfter);
+      }
+      return res.status(401).json({ error: "invalid credentials" });
+    }
+
+    // Only revealed to someone who already knows the password
+    if (!user.is_active) {
+      return res.status(403).json({ error: "account is deactivated" });
     }
 
-    const token = buildToken(user);
-    const safeUser = sanitizeUser(user);
+    if (user.totp_enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: buildChallengeToken(user),
+        message: "enter the code from your authenticator app",
+      });
+    }
 
-    return res.json({ token, user: safeUser, message: "login successful" });
+    return res.json(await completeLogin(user, req));
   } catch (error) {
     console.error("Login error:", error);
     return res.status(500).json({ error: "failed to log in" });
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     security: []
+ *     summary: Complete a login for an account with two-factor authentication
+ *     description: Exchanges the challenge_token returned by /api/auth/login plus a TOTP code (or one unused recovery code) for a session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing challenge_token or code
+ *       401:
+ *         description: Invalid or expired challenge, or wrong code
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: "challenge_token and code or recovery_code are required" });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ error: "JWT_SECRET is not configured" });
+    }
+
+    const ipRetry = loginThrottle.ipRetryAfter(req.ip);
+    if (ipRetry > 0) {
+      return tooManyAttempts(res, ipRetry);
+    }
+
+    const userId = readChallengeToken(challenge_token);
+    if (!userId) {
+      return res.status(401).json({ error: "invalid or expired challenge" });
+    }
+
+    const result = await pool.query(
+      `SELECT user_id, name, email, phone_number, role, project_list, lockout_count, locked_until,
+              totp_enabled, totp_secret, totp_last_step
+       FROM auth_users
+       WHERE user_id = $1 AND is_active`,
+      [userId]
+    );
+
+    if (result.rowCount === 0 || !result.rows[0].totp_enabled) {
+      return res.status(401).json({ error: "invalid or expired challenge" });
+    }
+
+    const user = result.rows[0];
+
+    const lockedFor = secondsLocked(user.locked_until);
+    if (lockedFor > 0) {
+      return tooManyAttempts(res, lockedFor);
+    }
+
+    const verified = code
+      ? await verifyUserTotp(user, code)
+      : await consumeRecoveryCode(user.user_id, recovery_code);
+
+    if (!verified) {
+      const retryAfter = await recordFailedLogin(user, req);
+      if (retryAfter > 0) {
+        return tooManyAttempts(res, retryAfter);
+      }
+      return res.status(401).json({ error: "invalid code" });
+    }
+
+    return res.json(await completeLogin(user, req));
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    return res.status(500).json({ error: "failed to log in" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     security: []
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       400:
+ *         description: Missing refresh_token
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or was already used
+ *       500:
+ *         description: Server error
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: "refresh_token is required" });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ error: "JWT_SECRET is not configured" });
+    }
+
+    const tokens = await rotateSession(refresh_token, req);
+    if (!tokens) {
+      return res.status(401).json({ error: "invalid refresh token" });
+    }
+
+    return res.json(tokens);
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({ error: "failed to refresh token" });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Log out a user
+ *     summary: Log out and revoke the current session
  *     tags: [Auth]
  *     responses:
  *       200:
  *         description: Logged out successfully
+ *       500:
+ *         description: Server error
  */
-router.post("/logout", (req, res) => {
-  return res.json({ message: "logged out successfully" });
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(req.user.session_id, req.user.user_id);
+    return res.json({ message: "logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return res.status(500).json({ error: "failed to log out" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       500:
+ *         description: Server error
+ */
+router.get("/sessions", async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.user_id);
+    return res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.user.session_id,
+      }))
+    );
+  } catch (error) {
+    console.error("List sessions error:", error);
+    return res.status(500).json({ error: "failed to fetch sessions" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/sessions/:sessionId", async (req, res) => {
+  if (!isUuid(req.params.sessionId)) {
+    return res.status(404).json({ error: "session not found" });
+  }
+
+  try {
+    const revoked = await revokeSession(req.params.sessionId, req.user.user_id);
+    if (!revoked) {
+      return res.status(404).json({ error: "session not found" });
+    }
+    return res.json({ message: "session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    return res.status(500).json({ error: "failed to revoke session" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/permissions:
+ *   get:
+ *     summary: Get the effective permissions of the current user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Allowed actions per resource for the caller's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   type: string
+ *                 permissions:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [read, create, update, delete]
+ *       401:
+ *         description: Missing, invalid or expired token
+ */
+router.get("/permissions", (req, res) => {
+  return res.json({ role: req.user.role, permissions: permissionsFor(req.user.role) });
 });
 
 /**
  * @swagger
  * /api/auth/forgot-password:
  *   post:
- *     summary: Reset password
+ *     security: []
+ *     summary: Request a password reset link
+ *     description: Always responds with the same message so callers cannot probe which emails are registered. When the email exists, a single-use token is stored (hashed) and sent through the configured mail transport.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset requested
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Server error
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const email = req.body.email ?? req.body.email_id;
+
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const token = randomToken();
+
+    const result = await pool.query(
+      `UPDATE auth_users
+       SET password_reset_token = $1,
+           password_reset_expires = NOW() + make_interval(mins => $2)
+       WHERE email = $3 AND is_active
+       RETURNING name, email`,
+      [hashToken(token), RESET_TOKEN_TTL_MINUTES, normalizedEmail]
+    );
+
+    if (result.rowCount > 0) {
+      const user = result.rows[0];
+      const baseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Madhuram password",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can be used once.\n\n` +
+          `${baseUrl}/reset-password?token=${token}\n\n` +
+          "If you did not request this, you can ignore this email.",
+      });
+    }
+
+    return res.json({ message: "if the email is registered, a reset link has been sent" });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return res.status(500).json({ error: "failed to request password reset" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     security: []
+ *     summary: Set a new password using a reset token
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -310,13 +786,13 @@ router.post("/logout", (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email_id
- *               - password_change
+ *               - token
+ *               - password
  *               - re_typepassword
  *             properties:
- *               email_id:
+ *               token:
  *                 type: string
- *               password_change:
+ *               password:
  *                 type: string
  *               re_typepassword:
  *                 type: string
@@ -324,47 +800,50 @@ router.post("/logout", (req, res) => {
  *       200:
  *         description: Password updated successfully
  *       400:
- *         description: Passwords do not match or missing fields
- *       401:
- *         description: Email not found
+ *         description: Missing fields, passwords do not match, or invalid/expired token
  *       500:
  *         description: Server error
  */
-router.post("/forgot-password", async (req, res) => {
+router.post("/reset-password", async (req, res) => {
   try {
-    const { email_id, password_change, re_typepassword } = req.body;
+    const { token, password, re_typepassword } = req.body;
 
-    if (!email_id || !password_change || !re_typepassword) {
+    if (!token || !password || !re_typepassword) {
       return res
         .status(400)
-        .json({ error: "email_id, password_change, and re_typepassword are required" });
+        .json({ error: "token, password, and re_typepassword are required" });
     }
 
-    if (password_change !== re_typepassword) {
+    if (password !== re_typepassword) {
       return res.status(400).json({ error: "password does not match" });
     }
 
-    const normalizedEmail = normalizeEmail(email_id);
+    const passwordHash = await bcrypt.hash(String(password), 12);
 
-    const existing = await pool.query(
-      "SELECT user_id FROM auth_users WHERE email = $1",
-      [normalizedEmail]
+    // Consuming the token and setting the password in one statement keeps it single-use
+    const result = await pool.query(
+      `UPDATE auth_users
+       SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL
+       WHERE password_reset_token = $2 AND password_reset_expires > NOW()
+       RETURNING user_id`,
+      [passwordHash, hashToken(token)]
     );
 
-    if (existing.rowCount === 0) {
-      return res.status(401).json({ error: "email not found" });
+    if (result.rowCount > 0) {
+      await revokeAllSessions(result.rows[0].user_id);
+      return res.json({ message: "password updated successfully" });
     }
 
-    const passwordHash = await bcrypt.hash(String(password_change), 12);
+    // Drop the token if it exists but has expired so it cannot linger
     await pool.query(
-      "UPDATE auth_users SET password_hash = $1 WHERE email = $2",
-      [passwordHash, normalizedEmail]
+      `UPDATE auth_users SET password_reset_token = NULL, password_reset_expires = NULL
+       WHERE password_reset_token = $1`,
+      [hashToken(token)]
     );
-
-    return res.json({ message: "password updated successfully" });
+    return res.status(400).json({ error: "invalid or expired reset token" });
   } catch (error) {
-    console.error("Forgot password error:", error);
-    return res.status(500).json({ error: "failed to update password" });
+    console.error("Reset password error:", error);
+    return res.status(500).json({ error: "failed to reset password" });
   }
 });
 
@@ -374,6 +853,12 @@ router.post("/forgot-password", async (req, res) => {
  *   get:
  *     summary: Get all users
  *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or deactivated (false) users; both when omitted
  *     responses:
  *       200:
  *         description: List of users
@@ -383,13 +868,21 @@ router.post("/forgot-password", async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Missing, invalid or expired token
  *       500:
  *         description: Server error
  */
-router.get("/users", async (req, res) => {
+router.get("/users", requirePermission("user", "read"), async (req, res) => {
   try {
+    const { active } = req.query;
     const result = await pool.query(
-      "SELECT user_id, name, email, phone_number, role, project_list FROM auth_users ORDER BY name ASC"
+      `SELECT user_id, name, email, phone_number, role, project_list, is_active, deactivated_at,
+              last_login_at, last_failed_login_at, failed_login_attempts, locked_until
+       FROM auth_users
+       WHERE ($1::boolean IS NULL OR is_active = $1)
+       ORDER BY name ASC`,
+      [active === undefined ? null : active === "true"]
     );
     return res.json(result.rows);
   } catch (error) {
@@ -409,7 +902,8 @@ router.get("/users", async (req, res) => {
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: uuid
  *         description: User ID
  *     responses:
  *       200:
@@ -423,11 +917,19 @@ router.get("/users", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/users/:id", async (req, res) => {
+router.get("/users/:id", requirePermission("user", "read"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
   try {
     const { id } = req.params;
     const result = await pool.query(
-      "SELECT user_id, name, email, phone_number, role, project_list FROM auth_users WHERE user_id = $1",
+      `SELECT user_id, name, email, phone_number, role, project_list,
+              is_active, deactivated_at, deactivated_by,
+              last_login_at, last_login_ip, last_failed_login_at, last_failed_login_ip,
+              failed_login_attempts, locked_until
+       FROM auth_users WHERE user_id = $1`,
       [id]
     );
 
@@ -453,7 +955,8 @@ router.get("/users/:id", async (req, res) => {
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: uuid
  *         description: User ID
  *     requestBody:
  *       required: true
@@ -470,6 +973,7 @@ router.get("/users/:id", async (req, res) => {
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [admin, operational_manager, po_officer, labour]
  *               project:
  *                 type: array
  *                 items:
@@ -482,13 +986,17 @@ router.get("/users/:id", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/User'
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields, invalid role or unknown project
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.put("/users/:id", async (req, res) => {
+router.put("/users/:id", requirePermission("user", "update"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
   try {
     const { id } = req.params;
     const { username, email, phone_number, role, project, project_list } = req.body;
@@ -497,20 +1005,29 @@ router.put("/users/:id", async (req, res) => {
       return res.status(400).json({ error: "username, email and role are required" });
     }
 
+    if (!ALLOWED_ROLES.has(String(role).trim())) {
+      return res.status(400).json({ error: "invalid role" });
+    }
+
     const projects = Array.isArray(project) ? project : (Array.isArray(project_list) ? project_list : []);
+    const unknownProjects = await findUnknownProjects(pool, projects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ error: `unknown project ${unknownProjects.join(", ")}` });
+    }
 
     const result = await pool.query(
       `UPDATE auth_users 
        SET name = $1, email = $2, phone_number = $3, role = $4, project_list = $5 
        WHERE user_id = $6 
        RETURNING user_id, name, email, phone_number, role, project_list`,
-      [username, email, phone_number, role, projects, id]
+      [username, email, phone_number, String(role).trim(), projects, id]
     );
 
     if (result.rowCount === 0) {
       return res.status(404).json({ error: "user not found" });
     }
 
+    await syncProjectMembers(pool, [id]);
     return res.json(result.rows[0]);
   } catch (error) {
     console.error("Update user error:", error);
@@ -522,36 +1039,354 @@ router.put("/users/:id", async (req, res) => {
  * @swagger
  * /api/auth/users/{id}:
  *   delete:
- *     summary: Delete a user
+ *     summary: Deactivate a user
+ *     description: The user can no longer log in and all their sessions are revoked. Their projects and history are kept; use /purge to remove the account permanently.
  *     tags: [Auth]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: uuid
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User deactivated successfully
+ *       400:
+ *         description: Users cannot deactivate themselves
  *       404:
- *         description: User not found
+ *         description: Active user not found
  *       500:
  *         description: Server error
  */
-router.delete("/users/:id", async (req, res) => {
+router.delete("/users/:id", requirePermission("user", "delete"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
   try {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM auth_users WHERE user_id = $1", [id]);
+
+    if (id === req.user.user_id) {
+      return res.status(400).json({ error: "you cannot deactivate your own account" });
+    }
+
+    const result = await pool.query(
+      `UPDATE auth_users
+       SET is_active = FALSE, deactivated_at = NOW(), deactivated_by = $2
+       WHERE user_id = $1 AND is_active
+       RETURNING user_id`,
+      [id, req.user.user_id]
+    );
 
     if (result.rowCount === 0) {
       return res.status(404).json({ error: "user not found" });
     }
 
-    return res.json({ message: "user deleted successfully" });
+    await revokeAllSessions(id);
+    return res.json({ message: "user deactivated successfully" });
+  } catch (error) {
+    console.error("Deactivate user error:", error);
+    return res.status(500).json({ error: "failed to deactivate user" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated user
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: Deactivated user not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/users/:id/reactivate", requirePermission("user", "update"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "deactivated user not found" });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE auth_users
+       SET is_active = TRUE, deactivated_at = NULL, deactivated_by = NULL
+       WHERE user_id = $1 AND NOT is_active
+       RETURNING user_id, name, email, phone_number, role, project_list`,
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "deactivated user not found" });
+    }
+
+    return res.json(sanitizeUser(result.rows[0]));
   } catch (error) {
-    console.error("Delete user error:", error);
+    console.error("Reactivate user error:", error);
+    return res.status(500).json({ error: "failed to reactivate user" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/transfer:
+ *   post:
+ *     summary: Reassign a user's projects to another user
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User whose projects are handed over
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to_user_id
+ *             properties:
+ *               to_user_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Number of projects transferred
+ *       400:
+ *         description: Missing, malformed or identical target user
+ *       404:
+ *         description: Source user or active target user not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/users/:id/transfer", requirePermission("user", "update"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
+  try {
+    const { id } = req.params;
+    const { to_user_id } = req.body;
+
+    if (!to_user_id) {
+      return res.status(400).json({ error: "to_user_id is required" });
+    }
+    if (!isUuid(to_user_id)) {
+      return res.status(400).json({ error: "to_user_id must be a user id" });
+    }
+    if (to_user_id === id) {
+      return res.status(400).json({ error: "to_user_id must be a different user" });
+    }
+
+    const users = await pool.query(
+      "SELECT user_id, is_active FROM auth_users WHERE user_id = ANY($1::uuid[])",
+      [[id, to_user_id]]
+    );
+    const source = users.rows.find((row) => row.user_id === id);
+    const target = users.rows.find((row) => row.user_id === to_user_id);
+
+    if (!source) {
+      return res.status(404).json({ error: "user not found" });
+    }
+    if (!target || !target.is_active) {
+      return res.status(404).json({ error: "target user not found or deactivated" });
+    }
+
+    const result = await pool.query(
+      "UPDATE projects SET user_id = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2",
+      [to_user_id, id]
+    );
+
+    return res.json({ message: "projects transferred", projects_transferred: result.rowCount });
+  } catch (error) {
+    console.error("Transfer user projects error:", error);
+    return res.status(500).json({ error: "failed to transfer projects" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a deactivated user
+ *     description: Only allowed once the user is deactivated and owns no projects (transfer them first).
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted permanently
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is still active or still owns projects
+ *       500:
+ *         description: Server error
+ */
+router.delete("/users/:id/purge", requirePermission("user", "delete"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const user = await client.query(
+      "SELECT is_active FROM auth_users WHERE user_id = $1 FOR UPDATE",
+      [id]
+    );
+    if (user.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "user not found" });
+    }
+    if (user.rows[0].is_active) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "deactivate the user before purging" });
+    }
+
+    const owned = await client.query(
+      "SELECT COUNT(*)::int AS count FROM projects WHERE user_id = $1",
+      [id]
+    );
+    if (owned.rows[0].count > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "user still owns projects; transfer them first",
+        projects_owned: owned.rows[0].count,
+      });
+    }
+
+    await client.query("DELETE FROM auth_users WHERE user_id = $1", [id]);
+    await client.query("COMMIT");
+
+    return res.json({ message: "user deleted permanently" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Purge user error:", error);
     return res.status(500).json({ error: "failed to delete user" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/unlock:
+ *   post:
+ *     summary: Clear a user's login lockout and failed attempt counters
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       403:
+ *         description: Missing permission user:update
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/users/:id/unlock", requirePermission("user", "update"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE auth_users
+       SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+       WHERE user_id = $1
+       RETURNING user_id`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    return res.json({ message: "user unlocked" });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    return res.status(500).json({ error: "failed to unlock user" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke every session of a user
+ *     description: Forces the user to log in again, e.g. after a role change made through PUT /api/auth/users/{id}.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Missing permission user:update
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/users/:id/sessions", requirePermission("user", "update"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "user not found" });
+  }
+
+  try {
+    const { id } = req.params;
+    const existing = await pool.query("SELECT user_id FROM auth_users WHERE user_id = $1", [id]);
+
+    if (existing.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    const revoked = await revokeAllSessions(id);
+    return res.json({ message: "sessions revoked", revoked });
+  } catch (error) {
+    console.error("Revoke user sessions error:", error);
+    return res.status(500).json({ error: "failed to revoke sessions" });
   }
 });
 
@@ -3,9 +3,44 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const {
+	getProjectScope,
+	inProjectScope,
+	projectScopeCondition,
+	requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+	requireWritableProject,
+	projectFromBody,
+	projectFromRecord,
+} = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { findActivityRow, recordActivity } = require("../utils/activity");
+const { boqWorkbook, boqCsv, boqExportFileName } = require("../utils/boqExport");
 
 const router = express.Router();
 
+const BOQ_LIST = {
+	table: "boqs",
+	idColumn: "boq_id",
+	sortFields: {
+		created_at: "created_at",
+		updated_at: "updated_at",
+		category: "category",
+		floor: "floor",
+		item_code: "item_code",
+		quantity: "quantity",
+		rate: "rate",
+		amount: "amount",
+	},
+	defaultSort: "created_at",
+	filters: { category: "category", floor: "floor", unit: "unit", item_code: "item_code", project_id: "project_id" },
+	dateFilters: { created: "created_at" },
+	rangeFilters: { amount: "amount", quantity: "quantity" },
+	searchColumns: ["description", "item_code", "category", "floor"],
+};
+
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, "../../uploads/boq");
 if (!fs.existsSync(uploadDir)) {
@@ -28,6 +63,13 @@ const upload = multer({
 	limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
 });
 
+// Discard a file multer already stored when the request is rejected afterwards
+function removeUploadedFile(file) {
+	if (file && fs.existsSync(file.path)) {
+		fs.unlinkSync(file.path);
+	}
+}
+
 /**
  * @swagger
  * components:
@@ -57,6 +99,9 @@ const upload = multer({
  *           type: string
  *         project_id:
  *           type: integer
+ *         milestone_id:
+ *           type: integer
+ *           description: Set through PUT /api/milestones/{id}/links
  *         created_at:
  *           type: string
  *           format: date-time
@@ -101,10 +146,12 @@ const upload = multer({
  *     responses:
  *       201:
  *         description: BOQ created successfully
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Server error
  */
-router.post("/", upload.single("boq_file"), async (req, res) => {
+router.post("/", requirePermission("boq", "create"), upload.single("boq_file"), requireWritableProject(projectFromBody), async (req, res) => {
 	try {
 		const {
 			category,
@@ -118,6 +165,11 @@ router.post("/", upload.single("boq_file"), async (req, res) => {
 			project_id,
 		} = req.body;
 
+		if (!inProjectScope(await getProjectScope(req), project_id)) {
+			removeUploadedFile(req.file);
+			return res.status(403).json({ error: "access to this project is denied" });
+		}
+
 		const boq_file = req.file ? `/uploads/boq/${req.file.filename}` : null;
 
 		const query = `
@@ -140,6 +192,7 @@ router.post("/", upload.single("boq_file"), async (req, res) => {
 		];
 
 		const result = await pool.query(query, values);
+		await recordActivity(pool, req, "boq", null, result.rows[0]);
 		res.status(201).json(result.rows[0]);
 	} catch (error) {
 		console.error("Error creating BOQ:", error);
@@ -156,20 +209,83 @@ router.post("/", upload.single("boq_file"), async (req, res) => {
  *   get:
  *     summary: Get all BOQ items
  *     tags: [BOQ]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, category, floor, item_code, quantity, rate, amount]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: floor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: item_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: amount_min
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: amount_max
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of all BOQs
+ *         description: A page of BOQ items
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/BOQ'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BOQ'
+ *       400:
+ *         description: Invalid list parameter
  */
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("boq", "read"), async (req, res) => {
 	try {
-		const result = await pool.query("SELECT * FROM boqs ORDER BY created_at DESC");
-		res.json(result.rows);
+		const { list, error } = parseListQuery(req.query, BOQ_LIST);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		const values = [];
+		const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+		res.json(await fetchList(pool, BOQ_LIST, list, [scopeCondition], values));
 	} catch (error) {
 		console.error("Error fetching BOQs:", error);
 		res.status(500).json({ error: "Internal Server Error" });
@@ -194,10 +310,12 @@ router.get("/", async (req, res) => {
  *       404:
  *         description: BOQ not found
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("boq", "read"), async (req, res) => {
 	try {
 		const { id } = req.params;
-		const result = await pool.query("SELECT * FROM boqs WHERE boq_id = $1", [id]);
+		const values = [id];
+		const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+		const result = await pool.query(`SELECT * FROM boqs WHERE boq_id = $1 AND ${scopeCondition}`, values);
 
 		if (result.rows.length === 0) {
 			return res.status(404).json({ error: "BOQ not found" });
@@ -222,21 +340,152 @@ router.get("/:id", async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, category, floor, item_code, quantity, rate, amount]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: floor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: item_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: amount_min
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: amount_max
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: List of BOQs for the project
+ *         description: A page of BOQ items for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BOQ'
+ *       400:
+ *         description: Invalid list parameter
+ *       403:
+ *         description: Access to this project is denied
  */
-router.get("/project/:projectId", async (req, res) => {
+router.get("/project/:projectId", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
 	try {
-		const { projectId } = req.params;
-		const result = await pool.query("SELECT * FROM boqs WHERE project_id = $1 ORDER BY created_at DESC", [projectId]);
-		res.json(result.rows);
+		const { list, error } = parseListQuery(req.query, BOQ_LIST);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		const values = [req.params.projectId];
+		res.json(await fetchList(pool, BOQ_LIST, list, ["project_id = $1"], values));
 	} catch (error) {
 		console.error("Error fetching project BOQs:", error);
 		res.status(500).json({ error: "Internal Server Error" });
 	}
 });
 
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/export:
+ *   get:
+ *     summary: Export a project's BOQ for client submission
+ *     description: >
+ *       A project header block followed by the BOQ items grouped by category and then floor, each group
+ *       closed by a subtotal row, and a grand total at the end. Groups and items keep the order they were
+ *       entered in. The CSV variant has the same layout with unformatted numbers; text that would start a
+ *       formula (=, +, -, @) is prefixed with an apostrophe.
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *     responses:
+ *       200:
+ *         description: The BOQ file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ */
+router.get("/project/:projectId/export", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
+	try {
+		const format = String(req.query.format || "xlsx").toLowerCase();
+		if (!["xlsx", "csv"].includes(format)) {
+			return res.status(400).json({ error: "format must be xlsx or csv" });
+		}
+
+		const project = await pool.query("SELECT * FROM projects WHERE project_id = $1 AND deleted_at IS NULL", [req.params.projectId]);
+		if (project.rows.length === 0) {
+			return res.status(404).json({ error: "Project not found" });
+		}
+		const boqs = await pool.query("SELECT * FROM boqs WHERE project_id = $1 ORDER BY boq_id", [req.params.projectId]);
+
+		res.setHeader("Content-Disposition", `attachment; filename="${boqExportFileName(project.rows[0], format)}"`);
+		if (format === "csv") {
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			return res.send(boqCsv(project.rows[0], boqs.rows));
+		}
+		res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+		res.send(boqWorkbook(project.rows[0], boqs.rows));
+	} catch (error) {
+		console.error("Error exporting project BOQ:", error);
+		res.status(500).json({ error: "Internal Server Error" });
+	}
+});
+
 /**
  * @swagger
  * /api/boq/{id}:
@@ -279,8 +528,10 @@ router.get("/project/:projectId", async (req, res) => {
  *     responses:
  *       200:
  *         description: BOQ updated successfully
+ *       409:
+ *         description: The project is archived and read-only
  */
-router.put("/:id", upload.single("boq_file"), async (req, res) => {
+router.put("/:id", requirePermission("boq", "update"), upload.single("boq_file"), requireWritableProject(projectFromRecord("boqs", "boq_id")), requireWritableProject(projectFromBody), async (req, res) => {
 	try {
 		const { id } = req.params;
 		const {
@@ -295,6 +546,12 @@ router.put("/:id", upload.single("boq_file"), async (req, res) => {
 			project_id,
 		} = req.body;
 
+		const scope = await getProjectScope(req);
+		if (project_id !== undefined && !inProjectScope(scope, project_id)) {
+			removeUploadedFile(req.file);
+			return res.status(403).json({ error: "access to this project is denied" });
+		}
+
 		// Build update query dynamically
 		let updateFields = [];
 		let values = [];
@@ -321,14 +578,17 @@ router.put("/:id", upload.single("boq_file"), async (req, res) => {
 		}
 
 		values.push(id);
-		const query = `UPDATE boqs SET ${updateFields.join(", ")} WHERE boq_id = $${counter} RETURNING *`;
+		const scopeCondition = projectScopeCondition(scope, "project_id", values);
+		const query = `UPDATE boqs SET ${updateFields.join(", ")} WHERE boq_id = $${counter} AND ${scopeCondition} RETURNING *`;
 
+		const before = await findActivityRow(pool, "boq", id);
 		const result = await pool.query(query, values);
 
 		if (result.rows.length === 0) {
 			return res.status(404).json({ error: "BOQ not found" });
 		}
 
+		await recordActivity(pool, req, "boq", before, result.rows[0]);
 		res.json(result.rows[0]);
 	} catch (error) {
 		console.error("Error updating BOQ:", error);
@@ -351,14 +611,18 @@ router.put("/:id", upload.single("boq_file"), async (req, res) => {
  *     responses:
  *       200:
  *         description: BOQ deleted successfully
+ *       409:
+ *         description: The project is archived and read-only
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("boq", "delete"), requireWritableProject(projectFromRecord("boqs", "boq_id")), async (req, res) => {
 	try {
 		const { id } = req.params;
 
 		// First get the file path to delete it
-		const checkQuery = "SELECT boq_file FROM boqs WHERE boq_id = $1";
-		const checkResult = await pool.query(checkQuery, [id]);
+		const checkValues = [id];
+		const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", checkValues);
+		const checkQuery = `SELECT boq_file FROM boqs WHERE boq_id = $1 AND ${scopeCondition}`;
+		const checkResult = await pool.query(checkQuery, checkValues);
 
 		if (checkResult.rows.length === 0) {
 			return res.status(404).json({ error: "BOQ not found" });
@@ -375,7 +639,10 @@ router.delete("/:id", async (req, res) => {
 		}
 
 		const deleteQuery = "DELETE FROM boqs WHERE boq_id = $1 RETURNING *";
-		await pool.query(deleteQuery, [id]);
+		const deleted = await pool.query(deleteQuery, [id]);
+		if (deleted.rows.length > 0) {
+			await recordActivity(pool, req, "boq", deleted.rows[0], null);
+		}
 
 		res.json({ message: "BOQ deleted successfully" });
 	} catch (error) {
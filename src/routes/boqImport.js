@@ -0,0 +1,569 @@
+const express = require("express");
+const multer = require("multer");
+const path = require("path");
+const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const { getProjectScope, inProjectScope } = require("../middleware/projectScope");
+const { requireWritableProject, projectFromBody } = require("../middleware/projectState");
+const { isSpreadsheet, normalizeHeader, readSpreadsheet, pickColumn } = require("../utils/spreadsheet");
+const { recordActivityEvent } = require("../utils/activity");
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+const PREVIEW_ROWS = 50;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (!isSpreadsheet(file.originalname)) {
+      return cb(new Error("only .csv, .xlsx and .xls files are accepted"));
+    }
+    return cb(null, true);
+  },
+});
+
+// Wrapper middleware to handle Multer errors
+const uploadMiddleware = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({ error: "File size too large. Max limit is 10MB." });
+      }
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    } else if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Header spellings recognised when no mapping is given or saved
+const COLUMNS = {
+  category: ["category", "section", "trade", "work_category", "head"],
+  item_code: ["item_code", "item_no", "item_number", "code", "sr_no", "s_no", "sl_no", "item"],
+  description: ["description", "item_description", "particulars", "description_of_work", "work_description"],
+  floor: ["floor", "level"],
+  unit: ["unit", "uom", "units"],
+  quantity: ["quantity", "qty", "quantities"],
+  rate: ["rate", "unit_rate", "rate_rs", "rate_inr"],
+  amount: ["amount", "amount_rs", "amount_inr", "total_amount", "total", "value"],
+};
+const BOQ_FIELDS = Object.keys(COLUMNS);
+const NUMERIC_FIELDS = ["quantity", "rate", "amount"];
+
+function isTruthy(value) {
+  return value === true || ["true", "1", "yes"].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Validates a mapping of BOQ field to spreadsheet header. Accepts an object
+ * or its JSON text. Returns { mapping } with normalized headers or { error }.
+ */
+function parseMapping(value) {
+  let mapping = value;
+  if (typeof value === "string") {
+    try {
+      mapping = JSON.parse(value);
+    } catch (error) {
+      return { error: "mapping must be a JSON object of BOQ field to column header" };
+    }
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return { error: "mapping must be a JSON object of BOQ field to column header" };
+  }
+
+  const normalized = {};
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!BOQ_FIELDS.includes(field)) {
+      return { error: `mapping field ${field} is not one of ${BOQ_FIELDS.join(", ")}` };
+    }
+    if (header === null || header === "") continue;
+    if (typeof header !== "string" || !normalizeHeader(header)) {
+      return { error: `mapping for ${field} must be a column header` };
+    }
+    normalized[field] = normalizeHeader(header);
+  }
+  if (Object.keys(normalized).length === 0) {
+    return { error: "mapping must map at least one BOQ field" };
+  }
+  return { mapping: normalized };
+}
+
+function parseHeaderRow(value) {
+  if (value === undefined || value === null || value === "") return { headerRow: null };
+  const headerRow = Number(value);
+  if (!Number.isInteger(headerRow) || headerRow < 1) {
+    return { error: "header_row must be a positive integer" };
+  }
+  return { headerRow };
+}
+
+async function findSavedMapping(db, clientName) {
+  if (!clientName || !String(clientName).trim()) return null;
+  const result = await db.query("SELECT * FROM boq_import_mappings WHERE LOWER(client_name) = LOWER($1)", [String(clientName).trim()]);
+  return result.rows[0] || null;
+}
+
+// "1,25,000.50", "Rs. 450" and "₹ 12" are numbers; "12 nos" is not
+function parseNumber(value) {
+  const text = String(value).replace(/[,\s₹]/g, "").replace(/^(rs\.?|inr)/i, "");
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return { error: true };
+  return { value: Number(text) };
+}
+
+/**
+ * Turns parsed rows into BOQ items with their errors. A row with only a
+ * description or category is a section heading: it is not imported and
+ * becomes the category of the rows below it that have none.
+ */
+function validateRows(rows, columns) {
+  const items = [];
+  let headings = 0;
+  let section = null;
+
+  rows.forEach((row) => {
+    const values = {};
+    BOQ_FIELDS.forEach((field) => {
+      values[field] = columns[field] ? pickColumn(row, columns[field]) : "";
+    });
+
+    const isHeading =
+      (values.description || values.category) && ["item_code", "quantity", "rate", "amount", "unit"].every((field) => values[field] === "");
+    if (isHeading) {
+      section = values.category || values.description;
+      headings += 1;
+      return;
+    }
+
+    const item = { row: row.__row, errors: [] };
+    ["category", "item_code", "description", "floor", "unit"].forEach((field) => {
+      item[field] = values[field] || null;
+    });
+    if (!item.category && section) item.category = section;
+
+    NUMERIC_FIELDS.forEach((field) => {
+      item[field] = null;
+      if (values[field] === "") return;
+      const { value, error } = parseNumber(values[field]);
+      if (error) item.errors.push(`${field} "${values[field]}" is not a number`);
+      else item[field] = value;
+    });
+
+    if (!item.description && !item.item_code) item.errors.push("description or item_code is required");
+    if (item.amount === null && item.quantity !== null && item.rate !== null) {
+      item.amount = Math.round(item.quantity * item.rate * 100) / 100;
+    }
+
+    items.push(item);
+  });
+
+  return { items, headings };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BoqImportMapping:
+ *       type: object
+ *       description: BOQ field to spreadsheet column header; fields left out are not imported
+ *       properties:
+ *         category:
+ *           type: string
+ *         item_code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         floor:
+ *           type: string
+ *         unit:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *         rate:
+ *           type: string
+ *         amount:
+ *           type: string
+ *       example:
+ *         item_code: Item No
+ *         description: Particulars
+ *         unit: UOM
+ *         quantity: Qty
+ *         rate: Rate (Rs)
+ *         amount: Amount (Rs)
+ */
+
+/**
+ * @swagger
+ * /api/boq/import:
+ *   post:
+ *     summary: Import BOQ items from a CSV or Excel file
+ *     description: |
+ *       Columns are mapped to category, item_code, description, floor, unit, quantity, rate and amount
+ *       using, in order, the mapping sent with the request, the mapping saved for the project's client,
+ *       or the usual header names (Item No, Particulars, Qty, UOM, ...). A row with only a description or
+ *       category is a section heading and becomes the category of the rows below it. amount defaults to
+ *       quantity x rate.
+ *
+ *       With dry_run the validation report and a preview are returned. Otherwise every row must be valid;
+ *       all items are then created for project_id in one transaction.
+ *     tags: [BOQ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - project_id
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               project_id:
+ *                 type: integer
+ *               mapping:
+ *                 type: string
+ *                 description: JSON of BoqImportMapping
+ *               sheet:
+ *                 type: string
+ *                 description: Workbook sheet name (defaults to the first sheet)
+ *               header_row:
+ *                 type: integer
+ *                 description: Line holding the column headers (defaults to 1)
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               save_mapping:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save the mapping, sheet and header_row for the project's client
+ *     responses:
+ *       200:
+ *         description: Dry-run report with a preview of the first rows
+ *       201:
+ *         description: All rows imported
+ *       400:
+ *         description: Missing or unreadable file, invalid mapping, unmapped columns or invalid rows (nothing imported)
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: The project is archived and read-only
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requirePermission("boq", "create"), uploadMiddleware, requireWritableProject(projectFromBody), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "file is required" });
+  }
+  const projectId = Number(req.body.project_id);
+  if (!Number.isInteger(projectId)) {
+    return res.status(400).json({ error: "project_id is required" });
+  }
+
+  try {
+    if (!inProjectScope(await getProjectScope(req), projectId)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
+    const project = await pool.query("SELECT project_id, client_name FROM projects WHERE project_id = $1 AND deleted_at IS NULL", [projectId]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const clientName = project.rows[0].client_name;
+
+    const saved = await findSavedMapping(pool, clientName);
+    let mapping = null;
+    let mappingSource = "headers";
+    if (req.body.mapping !== undefined && req.body.mapping !== "") {
+      const parsed = parseMapping(req.body.mapping);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      mapping = parsed.mapping;
+      mappingSource = "request";
+    } else if (saved) {
+      mapping = saved.mapping;
+      mappingSource = "saved";
+    }
+
+    const { headerRow, error: headerRowError } = parseHeaderRow(
+      req.body.header_row !== undefined ? req.body.header_row : mappingSource === "saved" ? saved.header_row : undefined
+    );
+    if (headerRowError) {
+      return res.status(400).json({ error: headerRowError });
+    }
+    const sheet = req.body.sheet || (mappingSource === "saved" ? saved.sheet : null) || undefined;
+
+    let headers;
+    let rows;
+    try {
+      ({ headers, rows } = readSpreadsheet(req.file.buffer, req.file.originalname, { sheet, headerRow }));
+    } catch (error) {
+      return res.status(400).json({ error: `could not read file: ${error.message}` });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "the file has no data rows" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    // Each field reads from its mapped header, or from the first known spelling present
+    const columns = {};
+    if (mapping) {
+      const missing = Object.entries(mapping).filter(([, header]) => !headers.includes(header));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: `mapped columns not found in the file: ${missing.map(([field, header]) => `${field} -> ${header}`).join(", ")}`,
+          headers,
+        });
+      }
+      Object.entries(mapping).forEach(([field, header]) => {
+        columns[field] = [header];
+      });
+    } else {
+      BOQ_FIELDS.forEach((field) => {
+        const header = COLUMNS[field].find((alias) => headers.includes(alias));
+        if (header) columns[field] = [header];
+      });
+      if (!columns.description && !columns.item_code) {
+        return res.status(400).json({
+          error: "could not find a description or item code column; send a mapping",
+          headers,
+        });
+      }
+    }
+
+    const { items, headings } = validateRows(rows, columns);
+    const valid = items.filter((item) => item.errors.length === 0);
+    const errors = items
+      .filter((item) => item.errors.length > 0)
+      .map(({ row, errors: rowErrors }) => ({ row, errors: rowErrors }));
+
+    const usedMapping = Object.fromEntries(Object.entries(columns).map(([field, [header]]) => [field, header]));
+    const report = {
+      dry_run: isTruthy(req.body.dry_run),
+      project_id: projectId,
+      mapping: usedMapping,
+      mapping_source: mappingSource,
+      headers,
+      total_rows: rows.length,
+      headings,
+      valid_rows: valid.length,
+      invalid_rows: errors.length,
+      total_amount: Math.round(valid.reduce((sum, item) => sum + (item.amount || 0), 0) * 100) / 100,
+      errors,
+    };
+
+    const strip = ({ errors: rowErrors, ...item }) => item;
+    if (report.dry_run) {
+      return res.json({ ...report, preview: items.slice(0, PREVIEW_ROWS).map((item) => ({ ...strip(item), errors: item.errors })) });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ ...report, error: "the file has invalid rows; nothing was imported" });
+    }
+    if (valid.length === 0) {
+      return res.status(400).json({ ...report, error: "the file has no BOQ items" });
+    }
+
+    const client = await pool.connect();
+    const created = [];
+    try {
+      await client.query("BEGIN");
+
+      for (const item of valid) {
+        const insert = await client.query(
+          `INSERT INTO boqs (category, item_code, description, floor, unit, quantity, rate, amount, project_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING boq_id`,
+          [item.category, item.item_code, item.description, item.floor, item.unit, item.quantity, item.rate, item.amount, projectId]
+        );
+        created.push(insert.rows[0].boq_id);
+      }
+
+      if (isTruthy(req.body.save_mapping)) {
+        if (!clientName || !String(clientName).trim()) {
+          throw Object.assign(new Error("the project has no client_name to save the mapping for"), { status: 400 });
+        }
+        await client.query(
+          `INSERT INTO boq_import_mappings (client_name, mapping, sheet, header_row, updated_by)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT ((LOWER(client_name))) DO UPDATE SET
+             mapping = EXCLUDED.mapping, sheet = EXCLUDED.sheet, header_row = EXCLUDED.header_row,
+             updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+          [String(clientName).trim(), JSON.stringify(usedMapping), sheet || null, headerRow, req.user.user_id]
+        );
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await recordActivityEvent(pool, req, {
+      project_id: projectId,
+      entity_type: "boq",
+      action: "create",
+      summary: `Imported ${created.length} BOQ items from ${path.basename(req.file.originalname)}`,
+    });
+
+    res.status(201).json({ ...report, imported: created.length, boq_ids: created, mapping_saved: isTruthy(req.body.save_mapping) });
+  } catch (error) {
+    console.error("BOQ import error:", error);
+    res.status(500).json({ error: "failed to import BOQ" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/import/mappings:
+ *   get:
+ *     summary: Saved BOQ import mappings
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: query
+ *         name: client_name
+ *         schema:
+ *           type: string
+ *         description: Only the mapping for this client
+ *     responses:
+ *       200:
+ *         description: Saved mappings; non-admins only get those for clients of their projects
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Save the BOQ import mapping for a client
+ *     tags: [BOQ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - client_name
+ *               - mapping
+ *             properties:
+ *               client_name:
+ *                 type: string
+ *               mapping:
+ *                 $ref: '#/components/schemas/BoqImportMapping'
+ *               sheet:
+ *                 type: string
+ *               header_row:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Mapping saved
+ *       400:
+ *         description: Invalid client_name, mapping or header_row
+ *       500:
+ *         description: Server error
+ */
+router.get("/mappings", requirePermission("boq", "read"), async (req, res) => {
+  try {
+    const values = [];
+    const conditions = [];
+    if (req.query.client_name) {
+      values.push(String(req.query.client_name).trim());
+      conditions.push(`LOWER(client_name) = LOWER($${values.length})`);
+    }
+    // Non-admins only see mappings for clients of the projects they belong to
+    const scope = await getProjectScope(req);
+    if (scope !== null) {
+      values.push(scope);
+      conditions.push(
+        `LOWER(client_name) IN (SELECT LOWER(TRIM(p.client_name)) FROM projects p WHERE p.project_id = ANY($${values.length}::int[]) AND p.client_name IS NOT NULL)`
+      );
+    }
+    const where = conditions.length > 0 ? conditions.join(" AND ") : "TRUE";
+    const result = await pool.query(`SELECT * FROM boq_import_mappings WHERE ${where} ORDER BY client_name`, values);
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Get BOQ import mappings error:", error);
+    res.status(500).json({ error: "failed to fetch mappings" });
+  }
+});
+
+router.put("/mappings", requirePermission("boq", "create"), async (req, res) => {
+  const clientName = req.body.client_name ? String(req.body.client_name).trim() : "";
+  if (!clientName) {
+    return res.status(400).json({ error: "client_name is required" });
+  }
+  const { mapping, error } = parseMapping(req.body.mapping);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { headerRow, error: headerRowError } = parseHeaderRow(req.body.header_row);
+  if (headerRowError) {
+    return res.status(400).json({ error: headerRowError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO boq_import_mappings (client_name, mapping, sheet, header_row, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT ((LOWER(client_name))) DO UPDATE SET
+         mapping = EXCLUDED.mapping, sheet = EXCLUDED.sheet, header_row = EXCLUDED.header_row,
+         updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [clientName, JSON.stringify(mapping), req.body.sheet || null, headerRow, req.user.user_id]
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Save BOQ import mapping error:", error);
+    res.status(500).json({ error: "failed to save mapping" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/import/mappings/{mappingId}:
+ *   delete:
+ *     summary: Delete a saved BOQ import mapping
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: mappingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mapping deleted
+ *       404:
+ *         description: Mapping not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/mappings/:mappingId", requirePermission("boq", "delete"), async (req, res) => {
+  if (!/^\d+$/.test(req.params.mappingId)) {
+    return res.status(404).json({ error: "Mapping not found" });
+  }
+
+  try {
+    const result = await pool.query("DELETE FROM boq_import_mappings WHERE mapping_id = $1 RETURNING mapping_id", [req.params.mappingId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Mapping not found" });
+    }
+    res.json({ message: "Mapping deleted successfully" });
+  } catch (error) {
+    console.error("Delete BOQ import mapping error:", error);
+    res.status(500).json({ error: "failed to delete mapping" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,597 @@
+const express = require("express");
+const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const { requireProjectAccess } = require("../middleware/projectScope");
+const { requireWritableProject, projectFromParam } = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { recordActivityEvent } = require("../utils/activity");
+const { createRevision, activateRevision, findRevision, revisionItems, compareItems } = require("../utils/boqRevisions");
+
+// Mounted at /api/boq/project/:projectId/revisions
+const router = express.Router({ mergeParams: true });
+
+const REVISION_LIST = {
+  table: "boq_revisions",
+  idColumn: "revision_id",
+  sortFields: { created_at: "created_at", name: "name", total_amount: "total_amount" },
+  defaultSort: "created_at",
+  defaultOrder: "asc",
+  booleanFilters: { active: "is_active" },
+  searchColumns: ["name", "notes"],
+};
+
+const writable = requireWritableProject(projectFromParam("projectId"));
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return value === true || String(value).toLowerCase() === "true";
+}
+
+function sideSummary(revision, items) {
+  if (revision) {
+    const { revision_id, name, is_active, item_count, total_amount, created_at } = revision;
+    return { revision_id, name, is_active, item_count, total_amount, created_at };
+  }
+  return { revision_id: null, name: "current", item_count: items.length };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BOQRevision:
+ *       type: object
+ *       properties:
+ *         revision_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Tender
+ *         notes:
+ *           type: string
+ *         is_active:
+ *           type: boolean
+ *           description: At most one revision per project is active
+ *         activated_at:
+ *           type: string
+ *           format: date-time
+ *         item_count:
+ *           type: integer
+ *         total_amount:
+ *           type: number
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     BOQRevisionLineChange:
+ *       type: object
+ *       properties:
+ *         boq_id:
+ *           type: integer
+ *         item_code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         floor:
+ *           type: string
+ *         unit:
+ *           type: string
+ *         from:
+ *           type: object
+ *           nullable: true
+ *           description: The line in the older BOQ; null when added
+ *         to:
+ *           type: object
+ *           nullable: true
+ *           description: The line in the newer BOQ; null when removed
+ *         changed_fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only on changed lines
+ *         quantity_delta:
+ *           type: number
+ *         rate_delta:
+ *           type: number
+ *         amount_delta:
+ *           type: number
+ *     BOQRevisionComparison:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: object
+ *           description: The older side; name is "current" for the live BOQ
+ *         to:
+ *           type: object
+ *         summary:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: integer
+ *             removed:
+ *               type: integer
+ *             changed:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             from_amount:
+ *               type: number
+ *             to_amount:
+ *               type: number
+ *             amount_delta:
+ *               type: number
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               from_amount:
+ *                 type: number
+ *               to_amount:
+ *                 type: number
+ *               amount_delta:
+ *                 type: number
+ *               added:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BOQRevisionLineChange'
+ *               removed:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BOQRevisionLineChange'
+ *               changed:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BOQRevisionLineChange'
+ */
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions:
+ *   get:
+ *     summary: List a project's BOQ revisions
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, name, total_amount]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BOQRevision'
+ *       400:
+ *         description: Invalid list parameter
+ *       403:
+ *         description: Access to this project is denied
+ */
+router.get("/", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
+  try {
+    const { list, error } = parseListQuery(req.query, REVISION_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await fetchList(pool, REVISION_LIST, list, ["project_id = $1"], [req.params.projectId]));
+  } catch (error) {
+    console.error("Error fetching BOQ revisions:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions:
+ *   post:
+ *     summary: Freeze the project's current BOQ as a named revision
+ *     description: >
+ *       Copies every BOQ line of the project into the revision. Later edits to the BOQ do not change it.
+ *       The new revision becomes the active one unless activate is false.
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: R1
+ *               notes:
+ *                 type: string
+ *               activate:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Revision created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BOQRevision'
+ *       400:
+ *         description: Missing name or the project has no BOQ lines
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A revision with this name exists, or the project is archived and read-only
+ */
+router.post("/", requirePermission("boq", "create"), requireProjectAccess(), writable, async (req, res) => {
+  const { projectId } = req.params;
+  const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+  if (!name) {
+    return res.status(400).json({ error: "name is required" });
+  }
+  if (name.toLowerCase() === "current" || /^\d+$/.test(name)) {
+    return res.status(400).json({ error: "name cannot be \"current\" or a number" });
+  }
+
+  const client = await pool.connect();
+  let revision;
+  try {
+    await client.query("BEGIN");
+    const lines = await client.query("SELECT COUNT(*)::int AS count FROM boqs WHERE project_id = $1", [projectId]);
+    if (lines.rows[0].count === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "the project has no BOQ lines to freeze" });
+    }
+
+    revision = await createRevision(
+      client,
+      projectId,
+      { name, notes: req.body.notes || null, activate: parseFlag(req.body.activate, true) },
+      req.user.user_id
+    );
+    if (!revision) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: `revision ${name} already exists` });
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23503") {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    console.error("Error creating BOQ revision:", error);
+    return res.status(500).json({ error: "Internal Server Error" });
+  } finally {
+    client.release();
+  }
+
+  await recordActivityEvent(pool, req, {
+    project_id: revision.project_id,
+    entity_type: "boq",
+    action: "create",
+    summary: `Froze BOQ revision ${revision.name} (${revision.item_count} lines)${revision.is_active ? " as the active revision" : ""}`,
+  });
+  res.status(201).json(revision);
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions/active:
+ *   get:
+ *     summary: Get the project's active BOQ revision
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The active revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BOQRevision'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: No revision is active
+ */
+router.get("/active", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM boq_revisions WHERE project_id = $1 AND is_active", [req.params.projectId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "No BOQ revision is active" });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error fetching active BOQ revision:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions/compare:
+ *   get:
+ *     summary: Compare two BOQ revisions
+ *     description: >
+ *       Lists the lines added, removed and changed between two revisions, grouped by category, with
+ *       quantity, rate and amount deltas per line and amount totals per category. Lines are matched by
+ *       the BOQ line they were copied from. Either side may be "current" for the live BOQ.
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Revision id or name; defaults to the active revision
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Revision id or name, or "current"
+ *     responses:
+ *       200:
+ *         description: The differences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BOQRevisionComparison'
+ *       400:
+ *         description: No from revision given and none is active
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Revision not found
+ */
+router.get("/compare", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const resolve = async (reference) => {
+      if (String(reference).trim().toLowerCase() === "current") return { revision: null };
+      const revision = await findRevision(pool, projectId, reference);
+      return revision ? { revision } : { error: `revision ${reference} not found` };
+    };
+
+    let fromReference = req.query.from;
+    if (!fromReference) {
+      const active = await pool.query("SELECT revision_id FROM boq_revisions WHERE project_id = $1 AND is_active", [projectId]);
+      if (active.rows.length === 0) {
+        return res.status(400).json({ error: "from is required when no revision is active" });
+      }
+      fromReference = String(active.rows[0].revision_id);
+    }
+
+    const from = await resolve(fromReference);
+    const to = await resolve(req.query.to || "current");
+    if (from.error || to.error) {
+      return res.status(404).json({ error: from.error || to.error });
+    }
+
+    const fromItems = await revisionItems(pool, projectId, from.revision);
+    const toItems = await revisionItems(pool, projectId, to.revision);
+    res.json({
+      from: sideSummary(from.revision, fromItems),
+      to: sideSummary(to.revision, toItems),
+      ...compareItems(fromItems, toItems),
+    });
+  } catch (error) {
+    console.error("Error comparing BOQ revisions:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a BOQ revision with its frozen lines
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The revision and its lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BOQRevision'
+ *                 - type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BOQ'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Revision not found
+ */
+router.get("/:revisionId", requirePermission("boq", "read"), requireProjectAccess(), async (req, res) => {
+  try {
+    const { projectId, revisionId } = req.params;
+    const revision = /^\d+$/.test(revisionId) ? await findRevision(pool, projectId, revisionId) : null;
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json({ ...revision, items: await revisionItems(pool, projectId, revision) });
+  } catch (error) {
+    console.error("Error fetching BOQ revision:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions/{revisionId}/activate:
+ *   patch:
+ *     summary: Make a BOQ revision the project's active one
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The revision, now active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BOQRevision'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Revision not found
+ *       409:
+ *         description: The project is archived and read-only
+ */
+router.patch("/:revisionId/activate", requirePermission("boq", "update"), requireProjectAccess(), writable, async (req, res) => {
+  const { projectId, revisionId } = req.params;
+  if (!/^\d+$/.test(revisionId)) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+
+  const client = await pool.connect();
+  let revision;
+  try {
+    await client.query("BEGIN");
+    revision = await activateRevision(client, projectId, revisionId);
+    if (!revision) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error activating BOQ revision:", error);
+    return res.status(500).json({ error: "Internal Server Error" });
+  } finally {
+    client.release();
+  }
+
+  await recordActivityEvent(pool, req, {
+    project_id: revision.project_id,
+    entity_type: "boq",
+    action: "status",
+    summary: `BOQ revision ${revision.name} made active`,
+  });
+  res.json(revision);
+});
+
+/**
+ * @swagger
+ * /api/boq/project/{projectId}/revisions/{revisionId}:
+ *   delete:
+ *     summary: Delete a BOQ revision
+ *     description: Deleting the active revision leaves the project without one.
+ *     tags: [BOQ]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision deleted
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Revision not found
+ *       409:
+ *         description: The project is archived and read-only
+ */
+router.delete("/:revisionId", requirePermission("boq", "delete"), requireProjectAccess(), writable, async (req, res) => {
+  try {
+    const { projectId, revisionId } = req.params;
+    if (!/^\d+$/.test(revisionId)) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const result = await pool.query(
+      "DELETE FROM boq_revisions WHERE project_id = $1 AND revision_id = $2 RETURNING project_id, name",
+      [projectId, revisionId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    await recordActivityEvent(pool, req, {
+      project_id: result.rows[0].project_id,
+      entity_type: "boq",
+      action: "delete",
+      summary: `Deleted BOQ revision ${result.rows[0].name}`,
+    });
+    res.json({ message: "Revision deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting BOQ revision:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+module.exports = router;
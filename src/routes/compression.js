@@ -5,6 +5,7 @@ const fs = require('fs');
 const sharp = require('sharp');
 const zlib = require('zlib');
 const { compressPdf } = require('../utils/pdfCompressor');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -82,7 +83,7 @@ const upload = multer({
  *       500:
  *         description: Server error
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', requirePermission('compression', 'create'), upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -0,0 +1,288 @@
+const express = require("express");
+const fs = require("fs");
+const { pool } = require("../db");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const { requireProjectAccess } = require("../middleware/projectScope");
+const {
+  collectDossier,
+  isLargeDossier,
+  writeDossier,
+  dossierFileName,
+  exportPath,
+  readableSections,
+  removeExpiredExports,
+  enqueueExport,
+  EXPORT_TTL_DAYS,
+} = require("../utils/projectDossier");
+
+// Mounted at /api/projects/:id/dossier
+const router = express.Router({ mergeParams: true });
+
+function exportResponse(projectId, row) {
+  return {
+    ...row,
+    status_url: `/api/projects/${projectId}/dossier/${row.export_id}`,
+    download_url: row.status === "ready" ? `/api/projects/${projectId}/dossier/${row.export_id}/download` : null,
+  };
+}
+
+function callerSections(req) {
+  return readableSections((resource) => hasPermission(req, resource, "read"));
+}
+
+// An export built for someone else may hold sections this caller cannot read
+function unreadableSections(req, row) {
+  const readable = callerSections(req);
+  return row.sections.filter((section) => !readable.includes(section));
+}
+
+async function findExport(projectId, exportId) {
+  // Anything that is not a UUID cannot name an export
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(exportId)) return null;
+  const result = await pool.query("SELECT * FROM project_exports WHERE export_id = $1 AND project_id = $2", [exportId, projectId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectExport:
+ *       type: object
+ *       properties:
+ *         export_id:
+ *           type: string
+ *           format: uuid
+ *         project_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [queued, building, ready, failed]
+ *         file_name:
+ *           type: string
+ *         size_bytes:
+ *           type: integer
+ *         sha256:
+ *           type: string
+ *           description: Checksum of the ZIP itself; manifest.json inside lists one per file
+ *         file_count:
+ *           type: integer
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [boq, mir, itr, po]
+ *           description: Record sections included; those the requester could read
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         requested_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: Set for every export; expired exports are removed with their archive
+ *         status_url:
+ *           type: string
+ *         download_url:
+ *           type: string
+ *           nullable: true
+ *           description: Set once the archive is ready
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/dossier:
+ *   post:
+ *     summary: Export the complete project dossier as a ZIP
+ *     description: >
+ *       The archive holds project.json (metadata, members, PR/PO tracking, samples and material list),
+ *       boq/boq.xlsx, a PDF for every MIR, ITR and PO, every uploaded file the project's records refer to
+ *       under files/, and manifest.json with the size and SHA-256 checksum of each entry.
+ *       BOQ, MIR, ITR and PO sections (and their uploads) are only included when the caller has read
+ *       permission on them.
+ *       Small projects are returned directly. Large projects, or any project with async=true, are built
+ *       in the background; poll the returned status_url until download_url is set.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *         description: Always build in the background
+ *     responses:
+ *       200:
+ *         description: The dossier archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       202:
+ *         description: Build queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectExport'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sections = callerSections(req);
+    const dossier = await collectDossier(pool, id, sections);
+    if (!dossier) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (String(req.query.async).toLowerCase() === "true" || isLargeDossier(dossier)) {
+      await removeExpiredExports(pool);
+      const result = await pool.query(
+        `INSERT INTO project_exports (project_id, requested_by, sections, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4))
+         RETURNING *`,
+        [id, req.user.user_id, sections, EXPORT_TTL_DAYS]
+      );
+      enqueueExport(result.rows[0].export_id, id, sections);
+      return res.status(202).json(exportResponse(id, result.rows[0]));
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${dossierFileName(dossier.project)}"`);
+    await writeDossier(dossier, res);
+  } catch (error) {
+    console.error("Export project dossier error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: "Failed to export project dossier" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/dossier/{exportId}:
+ *   get:
+ *     summary: Status of a background dossier build
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *       - in: path
+ *         name: exportId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Export status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectExport'
+ *       403:
+ *         description: The export includes records the caller cannot read
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:exportId", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const row = await findExport(req.params.id, req.params.exportId);
+    if (!row) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+    const hidden = unreadableSections(req, row);
+    if (hidden.length > 0) {
+      return res.status(403).json({ error: `this export includes ${hidden.join(", ")} records you cannot read` });
+    }
+    res.json(exportResponse(req.params.id, row));
+  } catch (error) {
+    console.error("Get dossier export error:", error);
+    res.status(500).json({ error: "Failed to fetch export" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/dossier/{exportId}/download:
+ *   get:
+ *     summary: Download a finished dossier archive
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *       - in: path
+ *         name: exportId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The dossier archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: The export includes records the caller cannot read
+ *       404:
+ *         description: Export not found or expired
+ *       409:
+ *         description: The export is not ready yet
+ *       500:
+ *         description: Server error
+ */
+router.get("/:exportId/download", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const row = await findExport(req.params.id, req.params.exportId);
+    const filePath = row ? exportPath(row.export_id) : null;
+    if (!row || (row.status === "ready" && (new Date(row.expires_at) < new Date() || !fs.existsSync(filePath)))) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+    const hidden = unreadableSections(req, row);
+    if (hidden.length > 0) {
+      return res.status(403).json({ error: `this export includes ${hidden.join(", ")} records you cannot read` });
+    }
+    if (row.status !== "ready") {
+      return res.status(409).json({ error: `export is ${row.status}`, status: row.status });
+    }
+
+    res.download(filePath, row.file_name);
+  } catch (error) {
+    console.error("Download dossier export error:", error);
+    res.status(500).json({ error: "Failed to download export" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { pool } = require("../db");
+const { ALLOWED_ROLES, requirePermission } = require("../middleware/permissions");
+const { sendMail } = require("../utils/mailer");
+const { createSession } = require("../utils/sessions");
+const { hashToken, randomToken } = require("../utils/tokens");
+const { findUnknownProjects, syncProjectMembers } = require("../utils/projectMembers");
+const {
+  normalizeEmail,
+  normalizePhone,
+  normalizeProjectList,
+  sanitizeUser,
+  findIdentityConflict,
+} = require("../utils/users");
+const { isUuid } = require("../utils/ids");
+
+const router = express.Router();
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Derived rather than stored so expiry needs no background job
+const STATUS_SQL = `CASE
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN accepted_at IS NOT NULL THEN 'accepted'
+    WHEN expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+const INVITATION_COLUMNS = `invitation_id, email, name, role, project_list, invited_by,
+  created_at, expires_at, accepted_at, accepted_user_id, revoked_at, ${STATUS_SQL} AS status`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         invitation_id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, operational_manager, po_officer, labour]
+ *         project_list:
+ *           type: array
+ *           items:
+ *             type: string
+ *         invited_by:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         accepted_at:
+ *           type: string
+ *           format: date-time
+ *         accepted_user_id:
+ *           type: string
+ *           format: uuid
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/invitations:
+ *   post:
+ *     summary: Invite a user by email
+ *     description: Stores a hashed single-use token and emails the invitee a link to set their password. The link is also returned once as invite_url.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operational_manager, po_officer, labour]
+ *               project_list:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Missing email, invalid role or unknown project
+ *       403:
+ *         description: Missing permission user:create
+ *       409:
+ *         description: Email already registered or already has a pending invitation
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requirePermission("user", "create"), async (req, res) => {
+  try {
+    const { email, name, role, project, project_list } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ error: "email and role are required" });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const roleValue = String(role).trim();
+
+    if (!ALLOWED_ROLES.has(roleValue)) {
+      return res.status(400).json({ error: "invalid role" });
+    }
+
+    const projects = normalizeProjectList(project, project_list);
+    const unknownProjects = await findUnknownProjects(pool, projects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ error: `unknown project ${unknownProjects.join(", ")}` });
+    }
+
+    const conflict = await findIdentityConflict(pool, normalizedEmail, null);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const pending = await pool.query(
+      `SELECT invitation_id FROM auth_invitations
+       WHERE email = $1 AND ${STATUS_SQL} = 'pending'`,
+      [normalizedEmail]
+    );
+    if (pending.rowCount > 0) {
+      return res.status(409).json({ error: "a pending invitation already exists for this email" });
+    }
+
+    const token = randomToken();
+    const result = await pool.query(
+      `INSERT INTO auth_invitations (email, name, role, project_list, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+       RETURNING ${INVITATION_COLUMNS}`,
+      [
+        normalizedEmail,
+        name ? String(name).trim() : null,
+        roleValue,
+        projects,
+        hashToken(token),
+        req.user.user_id,
+        INVITE_TTL_HOURS,
+      ]
+    );
+
+    const baseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+    const inviteUrl = `${baseUrl}/accept-invite?token=${token}`;
+
+    await sendMail({
+      to: normalizedEmail,
+      subject: "You have been invited to Madhuram",
+      text:
+        `Hi${name ? ` ${String(name).trim()}` : ""},\n\n` +
+        `You have been invited to join Madhuram as ${roleValue.replace(/_/g, " ")}. ` +
+        `Use the link below to set your password. It expires in ${INVITE_TTL_HOURS} hours and can be used once.\n\n` +
+        `${inviteUrl}\n`,
+    });
+
+    return res.status(201).json({ ...result.rows[0], invite_url: inviteUrl });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    return res.status(500).json({ error: "failed to create invitation" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations:
+ *   get:
+ *     summary: List invitations
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invitation'
+ *       403:
+ *         description: Missing permission user:read
+ *       500:
+ *         description: Server error
+ */
+router.get("/", requirePermission("user", "read"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const values = [];
+    let where = "TRUE";
+
+    if (status) {
+      values.push(String(status));
+      where = `${STATUS_SQL} = $1`;
+    }
+
+    const result = await pool.query(
+      `SELECT ${INVITATION_COLUMNS} FROM auth_invitations WHERE ${where} ORDER BY created_at DESC`,
+      values
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    console.error("List invitations error:", error);
+    return res.status(500).json({ error: "failed to fetch invitations" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Missing permission user:create
+ *       404:
+ *         description: No pending invitation with this id
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id", requirePermission("user", "create"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "pending invitation not found" });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE auth_invitations SET revoked_at = NOW()
+       WHERE invitation_id = $1 AND ${STATUS_SQL} = 'pending'
+       RETURNING ${INVITATION_COLUMNS}`,
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "pending invitation not found" });
+    }
+
+    return res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    return res.status(500).json({ error: "failed to revoke invitation" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     security: []
+ *     summary: Accept an invitation and create the account
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - phone_number
+ *               - password
+ *               - re_typepassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the name on the invitation
+ *               phone_number:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               re_typepassword:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing fields, passwords do not match, or invalid/expired/used invitation
+ *       409:
+ *         description: Email or phone number already exists
+ *       500:
+ *         description: Server error
+ */
+router.post("/accept", async (req, res) => {
+  const { token, name, phone_number, password, re_typepassword } = req.body;
+
+  if (!token || !phone_number || !password || !re_typepassword) {
+    return res
+      .status(400)
+      .json({ error: "token, phone_number, password, and re_typepassword are required" });
+  }
+
+  if (password !== re_typepassword) {
+    return res.status(400).json({ error: "password does not match" });
+  }
+
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ error: "JWT_SECRET is not configured" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Lock the row so two concurrent accepts cannot both create an account
+    const invitation = await client.query(
+      `SELECT invitation_id, email, name, role, project_list
+       FROM auth_invitations
+       WHERE token_hash = $1 AND ${STATUS_SQL} = 'pending'
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (invitation.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "invalid or expired invitation" });
+    }
+
+    const invite = invitation.rows[0];
+    const nameValue = name ? String(name).trim() : invite.name;
+    if (!nameValue) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const normalizedPhone = normalizePhone(phone_number);
+    const conflict = await findIdentityConflict(client, invite.email, normalizedPhone);
+    if (conflict) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: conflict });
+    }
+
+    const passwordHash = await bcrypt.hash(String(password), 12);
+    const insert = await client.query(
+      `INSERT INTO auth_users (name, email, phone_number, password_hash, role, project_list)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING user_id, name, email, phone_number, role, project_list`,
+      [nameValue, invite.email, normalizedPhone, passwordHash, invite.role, invite.project_list]
+    );
+    const user = sanitizeUser(insert.rows[0]);
+    await syncProjectMembers(client, [user.user_id]);
+
+    await client.query(
+      "UPDATE auth_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE invitation_id = $2",
+      [user.user_id, invite.invitation_id]
+    );
+
+    const tokens = await createSession(user, req, client);
+    await client.query("COMMIT");
+
+    return res.status(201).json({ ...tokens, user });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Accept invitation error:", error);
+    return res.status(500).json({ error: "failed to accept invitation" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,34 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+  requireWritableProject,
+  projectFromBody,
+  projectFromRecord,
+} = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { findActivityRow, recordActivity } = require("../utils/activity");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
+const ITR_LIST = {
+  table: "itrs",
+  idColumn: "itr_id",
+  sortFields: { created_at: "created_at", updated_at: "updated_at", result_code: "result_code" },
+  defaultSort: "created_at",
+  filters: { result_code: "result_code" },
+  dateFilters: { created: "created_at" },
+  searchColumns: ["result_code", "pmc_comments", "header_details", "contractor_details"],
+};
+
 // Ensure upload directory exists
 const uploadDir = path.join(__dirname, "../../uploads/itr");
 if (!fs.existsSync(uploadDir)) {
@@ -62,7 +86,7 @@ const upload = multer({ storage: storage });
  *       400:
  *         description: No file uploaded
  */
-router.post("/upload", upload.single("file"), (req, res) => {
+router.post("/upload", requirePermission("itr", "create"), upload.single("file"), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "No file uploaded" });
   }
@@ -243,10 +267,12 @@ router.post("/upload", upload.single("file"), (req, res) => {
  *     responses:
  *       201:
  *         description: ITR created successfully
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Internal server error
  */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("itr", "create"), requireWritableProject(projectFromBody), async (req, res) => {
   const {
     project_id,
     header_details,
@@ -264,6 +290,10 @@ router.post("/", async (req, res) => {
   } = req.body;
 
   try {
+    if (!inProjectScope(await getProjectScope(req), project_id)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
     const result = await pool.query(
       `INSERT INTO itrs (
         project_id, header_details, contractor_details, mep_clearance, 
@@ -287,6 +317,7 @@ router.post("/", async (req, res) => {
         result_code,
       ]
     );
+    await recordActivity(pool, req, "itr", null, result.rows[0]);
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error("Error creating ITR:", error);
@@ -307,17 +338,54 @@ router.post("/", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Project ID
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, result_code]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: result_code
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: List of ITRs
+ *         description: A page of ITRs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       400:
+ *         description: Invalid list parameter
  *       500:
  *         description: Internal server error
+ *       403:
+ *         description: Access to this project is denied
  */
-router.get("/project/:projectId", async (req, res) => {
+router.get("/project/:projectId", requirePermission("itr", "read"), requireProjectAccess(), async (req, res) => {
   const { projectId } = req.params;
   try {
-    const result = await pool.query("SELECT * FROM itrs WHERE project_id = $1 ORDER BY created_at DESC", [projectId]);
-    res.json(result.rows);
+    const { list, error } = parseListQuery(req.query, ITR_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await fetchList(pool, ITR_LIST, list, ["project_id = $1"], [projectId]));
   } catch (error) {
     console.error("Error fetching ITRs:", error);
     res.status(500).json({ error: error.message });
@@ -345,10 +413,12 @@ router.get("/project/:projectId", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("itr", "read"), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("SELECT * FROM itrs WHERE itr_id = $1", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`SELECT * FROM itrs WHERE itr_id = $1 AND ${scopeCondition}`, values);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "ITR not found" });
     }
@@ -383,10 +453,12 @@ router.get("/:id", async (req, res) => {
  *         description: ITR updated successfully
  *       404:
  *         description: ITR not found
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("itr", "update"), requireWritableProject(projectFromRecord("itrs", "itr_id")), async (req, res) => {
   const { id } = req.params;
   const {
     header_details,
@@ -404,6 +476,24 @@ router.put("/:id", async (req, res) => {
   } = req.body;
 
   try {
+    const values = [
+      header_details ? JSON.stringify(header_details) : null,
+      contractor_details ? JSON.stringify(contractor_details) : null,
+      mep_clearance ? JSON.stringify(mep_clearance) : null,
+      surveyor_clearance ? JSON.stringify(surveyor_clearance) : null,
+      interface_clearance ? JSON.stringify(interface_clearance) : null,
+      contract_manager ? JSON.stringify(contract_manager) : null,
+      pmc_comments,
+      engineer_civil ? JSON.stringify(engineer_civil) : null,
+      engineer_mep ? JSON.stringify(engineer_mep) : null,
+      tower_incharge ? JSON.stringify(tower_incharge) : null,
+      qaa_department ? JSON.stringify(qaa_department) : null,
+      result_code,
+      id,
+    ];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+
+    const before = await findActivityRow(pool, "itr", id);
     const result = await pool.query(
       `UPDATE itrs SET
         header_details = COALESCE($1, header_details),
@@ -419,27 +509,14 @@ router.put("/:id", async (req, res) => {
         qaa_department = COALESCE($11, qaa_department),
         result_code = COALESCE($12, result_code),
         updated_at = CURRENT_TIMESTAMP
-      WHERE itr_id = $13 RETURNING *`,
-      [
-        header_details ? JSON.stringify(header_details) : null,
-        contractor_details ? JSON.stringify(contractor_details) : null,
-        mep_clearance ? JSON.stringify(mep_clearance) : null,
-        surveyor_clearance ? JSON.stringify(surveyor_clearance) : null,
-        interface_clearance ? JSON.stringify(interface_clearance) : null,
-        contract_manager ? JSON.stringify(contract_manager) : null,
-        pmc_comments,
-        engineer_civil ? JSON.stringify(engineer_civil) : null,
-        engineer_mep ? JSON.stringify(engineer_mep) : null,
-        tower_incharge ? JSON.stringify(tower_incharge) : null,
-        qaa_department ? JSON.stringify(qaa_department) : null,
-        result_code,
-        id,
-      ]
+      WHERE itr_id = $13 AND ${scopeCondition} RETURNING *`,
+      values
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "ITR not found" });
     }
+    await recordActivity(pool, req, "itr", before, result.rows[0]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Error updating ITR:", error);
@@ -465,16 +542,21 @@ router.put("/:id", async (req, res) => {
  *         description: ITR deleted successfully
  *       404:
  *         description: ITR not found
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("itr", "delete"), requireWritableProject(projectFromRecord("itrs", "itr_id")), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("DELETE FROM itrs WHERE itr_id = $1 RETURNING *", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`DELETE FROM itrs WHERE itr_id = $1 AND ${scopeCondition} RETURNING *`, values);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "ITR not found" });
     }
+    await recordActivity(pool, req, "itr", result.rows[0], null);
     res.json({ message: "ITR deleted successfully" });
   } catch (error) {
     console.error("Error deleting ITR:", error);
@@ -0,0 +1,287 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { pool } = require("../db");
+const { permissionsFor } = require("../middleware/permissions");
+const { revokeOtherSessions } = require("../utils/sessions");
+const { normalizePhone, sanitizeUser } = require("../utils/users");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Profile of the logged-in user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT user_id, name, email, phone_number, role, project_list, totp_enabled, last_login_at
+       FROM auth_users WHERE user_id = $1`,
+      [req.user.user_id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    const row = result.rows[0];
+    return res.json({
+      ...sanitizeUser(row),
+      two_factor_enabled: row.totp_enabled,
+      last_login_at: row.last_login_at,
+      permissions: permissionsFor(row.role),
+    });
+  } catch (error) {
+    console.error("Get profile error:", error);
+    return res.status(500).json({ error: "failed to fetch profile" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update the current user's name or phone number
+ *     description: Email, role and project assignments can only be changed by an administrator.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: No updatable fields or empty values
+ *       409:
+ *         description: Phone number already exists
+ *       500:
+ *         description: Server error
+ */
+router.patch("/", async (req, res) => {
+  try {
+    const { username, name, phone_number } = req.body;
+    const nameValue = name ?? username;
+
+    let updateFields = [];
+    let values = [];
+    let counter = 1;
+
+    if (nameValue !== undefined) {
+      if (!String(nameValue).trim()) {
+        return res.status(400).json({ error: "name cannot be empty" });
+      }
+      updateFields.push(`name = $${counter++}`);
+      values.push(String(nameValue).trim());
+    }
+
+    if (phone_number !== undefined) {
+      const normalizedPhone = normalizePhone(phone_number);
+      if (!normalizedPhone) {
+        return res.status(400).json({ error: "phone_number cannot be empty" });
+      }
+
+      const existing = await pool.query(
+        "SELECT user_id FROM auth_users WHERE phone_number = $1 AND user_id <> $2",
+        [normalizedPhone, req.user.user_id]
+      );
+      if (existing.rowCount > 0) {
+        return res.status(409).json({ error: "phone number already exists" });
+      }
+
+      updateFields.push(`phone_number = $${counter++}`);
+      values.push(normalizedPhone);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: "name or phone_number is required" });
+    }
+
+    values.push(req.user.user_id);
+    const result = await pool.query(
+      `UPDATE auth_users SET ${updateFields.join(", ")} WHERE user_id = $${counter}
+       RETURNING user_id, name, email, phone_number, role, project_list`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    return res.json(sanitizeUser(result.rows[0]));
+  } catch (error) {
+    console.error("Update profile error:", error);
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "phone number already exists" });
+    }
+    return res.status(500).json({ error: "failed to update profile" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. Every other session of the user is signed out.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *               - re_typepassword
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *               re_typepassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields or new passwords do not match
+ *       401:
+ *         description: Current password is wrong
+ *       500:
+ *         description: Server error
+ */
+router.post("/password", async (req, res) => {
+  try {
+    const { current_password, new_password, re_typepassword } = req.body;
+
+    if (!current_password || !new_password || !re_typepassword) {
+      return res
+        .status(400)
+        .json({ error: "current_password, new_password, and re_typepassword are required" });
+    }
+
+    if (new_password !== re_typepassword) {
+      return res.status(400).json({ error: "password does not match" });
+    }
+
+    const result = await pool.query(
+      "SELECT password_hash FROM auth_users WHERE user_id = $1",
+      [req.user.user_id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    const matches = await bcrypt.compare(String(current_password), result.rows[0].password_hash);
+    if (!matches) {
+      return res.status(401).json({ error: "current password is incorrect" });
+    }
+
+    const passwordHash = await bcrypt.hash(String(new_password), 12);
+    await pool.query(
+      "UPDATE auth_users SET password_hash = $1 WHERE user_id = $2",
+      [passwordHash, req.user.user_id]
+    );
+    const revoked = await revokeOtherSessions(req.user.user_id, req.user.session_id);
+
+    return res.json({ message: "password updated successfully", sessions_revoked: revoked });
+  } catch (error) {
+    console.error("Change password error:", error);
+    return res.status(500).json({ error: "failed to change password" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/projects:
+ *   get:
+ *     summary: List the projects assigned to the current user
+ *     description: Returns the projects the user is a member of, with their role on each. Projects in the trash are left out. Entries of project_list that do not match an existing project are returned in `unresolved`.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Assigned projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       project_id:
+ *                         type: integer
+ *                       project_name:
+ *                         type: string
+ *                       client_name:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                       project_role:
+ *                         type: string
+ *                 unresolved:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Server error
+ */
+router.get("/projects", async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      "SELECT project_list FROM auth_users WHERE user_id = $1",
+      [req.user.user_id]
+    );
+    const projectList = userResult.rowCount > 0 ? userResult.rows[0].project_list || [] : [];
+
+    const result = await pool.query(
+      `SELECT p.project_id, p.project_name, p.client_name, p.location, m.project_role, p.deleted_at IS NOT NULL AS deleted
+       FROM project_members m
+       JOIN projects p ON p.project_id = m.project_id
+       WHERE m.user_id = $1
+       ORDER BY p.project_name ASC`,
+      [req.user.user_id]
+    );
+
+    // Projects in the trash are hidden, but their entries still resolve
+    const resolved = new Set(result.rows.map((row) => String(row.project_id)));
+    const unresolved = projectList.filter((value) => !resolved.has(String(value).trim()));
+    const projects = result.rows.filter((row) => !row.deleted).map(({ deleted, ...project }) => project);
+
+    return res.json({ projects, unresolved });
+  } catch (error) {
+    console.error("Get my projects error:", error);
+    return res.status(500).json({ error: "failed to fetch projects" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,940 @@
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+  requireWritableProject,
+  projectFromBody,
+  projectFromRecord,
+} = require("../middleware/projectState");
+const { buildCalendar } = require("../utils/ical");
+const { isIsoDate } = require("../utils/dates");
+
+// ITR result codes that count as approved work: A (approved) and B (approved with comments)
+const APPROVED_ITR_RESULT_CODES = ["A", "B", "APPROVED"];
+
+const DATE_FIELDS = ["planned_start", "planned_end", "actual_start", "actual_end"];
+
+const MILESTONE_COLUMNS = `
+  m.milestone_id, m.project_id, m.name, m.description,
+  to_char(m.planned_start, 'YYYY-MM-DD') AS planned_start,
+  to_char(m.planned_end, 'YYYY-MM-DD') AS planned_end,
+  to_char(m.actual_start, 'YYYY-MM-DD') AS actual_start,
+  to_char(m.actual_end, 'YYYY-MM-DD') AS actual_end,
+  m.percent_complete, m.created_by, m.created_at, m.updated_at,
+  COALESCE(
+    (SELECT array_agg(d.depends_on_id ORDER BY d.depends_on_id)
+     FROM project_milestone_dependencies d WHERE d.milestone_id = m.milestone_id),
+    '{}'
+  ) AS depends_on,
+  (SELECT COUNT(*)::int FROM itrs i WHERE i.milestone_id = m.milestone_id) AS itr_total,
+  (SELECT COUNT(*)::int FROM itrs i
+   WHERE i.milestone_id = m.milestone_id AND UPPER(BTRIM(i.result_code)) = ANY($2::text[])) AS itr_approved,
+  (SELECT COUNT(*)::int FROM boqs b WHERE b.milestone_id = m.milestone_id) AS boq_items,
+  (SELECT COALESCE(SUM(b.amount), 0) FROM boqs b WHERE b.milestone_id = m.milestone_id) AS boq_value`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Milestone:
+ *       type: object
+ *       properties:
+ *         milestone_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         planned_start:
+ *           type: string
+ *           format: date
+ *         planned_end:
+ *           type: string
+ *           format: date
+ *         actual_start:
+ *           type: string
+ *           format: date
+ *         actual_end:
+ *           type: string
+ *           format: date
+ *         percent_complete:
+ *           type: number
+ *           nullable: true
+ *           description: Manual progress; null rolls progress up from linked ITRs
+ *         depends_on:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Milestones that must finish before this one starts
+ *         itr_total:
+ *           type: integer
+ *         itr_approved:
+ *           type: integer
+ *         boq_items:
+ *           type: integer
+ *         boq_value:
+ *           type: number
+ *         progress_percent:
+ *           type: number
+ *         progress_source:
+ *           type: string
+ *           enum: [manual, actual_end, itrs, none]
+ *         status:
+ *           type: string
+ *           enum: [not_started, in_progress, completed]
+ *         forecast_end:
+ *           type: string
+ *           format: date
+ *         variance_days:
+ *           type: integer
+ *           description: Days the (forecast) finish is after planned_end; negative when early
+ *         slipping:
+ *           type: boolean
+ *         slip_reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [overdue, late_start, dependency_late]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Milestones
+ *   description: Project milestones, schedule and progress roll-up
+ */
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Adds progress, status and slip information to milestone rows as of the
+ * given date. Progress is the manual percent_complete when set, 100 once
+ * actual_end is recorded, otherwise the share of linked ITRs that are approved.
+ */
+function evaluateSchedule(rows, asOf) {
+  const milestones = rows.map((row) => {
+    const milestone = { ...row, boq_value: Number(row.boq_value) };
+
+    if (row.percent_complete !== null) {
+      milestone.percent_complete = Number(row.percent_complete);
+      milestone.progress_percent = milestone.percent_complete;
+      milestone.progress_source = "manual";
+    } else if (row.actual_end) {
+      milestone.progress_percent = 100;
+      milestone.progress_source = "actual_end";
+    } else if (row.itr_total > 0) {
+      milestone.progress_percent = Math.round((row.itr_approved / row.itr_total) * 10000) / 100;
+      milestone.progress_source = "itrs";
+    } else {
+      milestone.progress_percent = 0;
+      milestone.progress_source = "none";
+    }
+
+    const completed = Boolean(row.actual_end) || milestone.progress_percent >= 100;
+    const started = completed || Boolean(row.actual_start) || milestone.progress_percent > 0;
+    milestone.status = completed ? "completed" : started ? "in_progress" : "not_started";
+
+    if (row.actual_end) {
+      milestone.forecast_end = row.actual_end;
+    } else if (!completed && row.planned_end < asOf) {
+      milestone.forecast_end = asOf;
+    } else {
+      milestone.forecast_end = row.planned_end;
+    }
+    milestone.variance_days = daysBetween(row.planned_end, milestone.forecast_end);
+    return milestone;
+  });
+
+  const byId = new Map(milestones.map((milestone) => [milestone.milestone_id, milestone]));
+  milestones.forEach((milestone) => {
+    const reasons = [];
+    if (milestone.status !== "completed") {
+      if (milestone.planned_end < asOf) reasons.push("overdue");
+      if (milestone.status === "not_started" && milestone.planned_start && milestone.planned_start < asOf) {
+        reasons.push("late_start");
+      }
+
+      // Finish-to-start: a dependency finishing on or after our planned start delays us
+      const start = milestone.planned_start || milestone.planned_end;
+      const lateDependency = milestone.depends_on.some((id) => {
+        const dependency = byId.get(id);
+        return dependency && dependency.forecast_end >= start && milestone.status === "not_started";
+      });
+      if (lateDependency) reasons.push("dependency_late");
+    }
+    milestone.slip_reasons = reasons;
+    milestone.slipping = reasons.length > 0;
+  });
+
+  return milestones;
+}
+
+// Overall progress weighted by linked BOQ value, or a plain average when no milestone has any
+function overallProgress(milestones) {
+  if (milestones.length === 0) return 0;
+  const totalValue = milestones.reduce((sum, milestone) => sum + milestone.boq_value, 0);
+  const weighted = milestones.reduce(
+    (sum, milestone) => sum + milestone.progress_percent * (totalValue > 0 ? milestone.boq_value : 1),
+    0
+  );
+  return Math.round((weighted / (totalValue > 0 ? totalValue : milestones.length)) * 100) / 100;
+}
+
+async function loadMilestones(db, condition, values) {
+  const result = await db.query(
+    `SELECT ${MILESTONE_COLUMNS}
+     FROM project_milestones m
+     WHERE ${condition}
+     ORDER BY COALESCE(m.planned_start, m.planned_end), m.planned_end, m.milestone_id`,
+    values
+  );
+  return result.rows;
+}
+
+async function loadSchedule(projectId, asOf) {
+  const project = await pool.query(
+    "SELECT project_id, project_name, to_char(project_startdate, 'YYYY-MM-DD') AS project_startdate FROM projects WHERE project_id = $1",
+    [projectId]
+  );
+  if (project.rows.length === 0) return null;
+
+  const milestones = evaluateSchedule(
+    await loadMilestones(pool, "m.project_id = $1", [projectId, APPROVED_ITR_RESULT_CODES]),
+    asOf
+  );
+  return {
+    project: project.rows[0],
+    as_of: asOf,
+    progress_percent: overallProgress(milestones),
+    slipping_count: milestones.filter((milestone) => milestone.slipping).length,
+    milestones,
+  };
+}
+
+async function findMilestone(req, id, db = pool) {
+  const values = [id, APPROVED_ITR_RESULT_CODES];
+  const scopeCondition = projectScopeCondition(await getProjectScope(req), "m.project_id", values);
+  const rows = await loadMilestones(db, `m.milestone_id = $1 AND ${scopeCondition}`, values);
+  if (rows.length === 0) return null;
+
+  // Slip flags depend on the other milestones of the project
+  const siblings = await loadMilestones(db, "m.project_id = $1", [rows[0].project_id, APPROVED_ITR_RESULT_CODES]);
+  return evaluateSchedule(siblings, today()).find((milestone) => milestone.milestone_id === rows[0].milestone_id);
+}
+
+/**
+ * Validates the writable milestone fields present in `body`. Returns
+ * { fields } holding only the fields sent, or { error }.
+ */
+function parseMilestoneBody(body, { creating }) {
+  const fields = {};
+
+  if (creating || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) return { error: "name is required" };
+    fields.name = String(body.name).trim();
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description === null ? null : String(body.description);
+  }
+
+  for (const name of DATE_FIELDS) {
+    if (body[name] === undefined) continue;
+    if (body[name] === null || body[name] === "") {
+      if (name === "planned_end") return { error: "planned_end is required" };
+      fields[name] = null;
+    } else if (!isIsoDate(body[name])) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    } else {
+      fields[name] = String(body[name]);
+    }
+  }
+  if (creating && !fields.planned_end) return { error: "planned_end is required" };
+
+  if (body.percent_complete !== undefined) {
+    if (body.percent_complete === null || body.percent_complete === "") {
+      fields.percent_complete = null;
+    } else {
+      const percent = Number(body.percent_complete);
+      if (Number.isNaN(percent) || percent < 0 || percent > 100) {
+        return { error: "percent_complete must be between 0 and 100" };
+      }
+      fields.percent_complete = percent;
+    }
+  }
+
+  if (body.depends_on !== undefined) {
+    const list = body.depends_on === null ? [] : body.depends_on;
+    if (!Array.isArray(list) || list.some((id) => !Number.isInteger(Number(id)))) {
+      return { error: "depends_on must be an array of milestone ids" };
+    }
+    fields.depends_on = [...new Set(list.map(Number))];
+  }
+
+  return { fields };
+}
+
+/**
+ * Checks that every dependency belongs to the project and that depending on
+ * them does not create a cycle. Returns an error message or null.
+ */
+async function validateDependencies(db, projectId, milestoneId, dependsOn) {
+  if (dependsOn.length === 0) return null;
+  if (milestoneId !== null && dependsOn.includes(milestoneId)) return "a milestone cannot depend on itself";
+
+  const known = await db.query(
+    "SELECT milestone_id FROM project_milestones WHERE project_id = $1 AND milestone_id = ANY($2::int[])",
+    [projectId, dependsOn]
+  );
+  const knownIds = new Set(known.rows.map((row) => row.milestone_id));
+  const unknown = dependsOn.filter((id) => !knownIds.has(id));
+  if (unknown.length > 0) return `unknown milestone ${unknown.join(", ")} in this project`;
+
+  // A new milestone has no dependants yet, so it cannot close a cycle
+  if (milestoneId === null) return null;
+
+  const edges = await db.query(
+    `SELECT d.milestone_id, d.depends_on_id FROM project_milestone_dependencies d
+     JOIN project_milestones m ON m.milestone_id = d.milestone_id
+     WHERE m.project_id = $1 AND d.milestone_id <> $2`,
+    [projectId, milestoneId]
+  );
+  const graph = new Map([[milestoneId, dependsOn]]);
+  edges.rows.forEach((edge) => {
+    graph.set(edge.milestone_id, [...(graph.get(edge.milestone_id) || []), edge.depends_on_id]);
+  });
+
+  const seen = new Set();
+  const stack = [...dependsOn];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === milestoneId) return "dependencies would form a cycle";
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(graph.get(id) || []));
+  }
+  return null;
+}
+
+async function saveDependencies(db, milestoneId, dependsOn) {
+  await db.query("DELETE FROM project_milestone_dependencies WHERE milestone_id = $1", [milestoneId]);
+  if (dependsOn.length > 0) {
+    await db.query(
+      `INSERT INTO project_milestone_dependencies (milestone_id, depends_on_id)
+       SELECT $1, unnest($2::int[])`,
+      [milestoneId, dependsOn]
+    );
+  }
+}
+
+function milestoneError(error, res) {
+  // CHECK violations: start after end, percent out of range
+  if (error.code === "23514") {
+    res.status(400).json({ error: "start dates must not be after end dates" });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * @swagger
+ * /api/milestones:
+ *   post:
+ *     summary: Create a milestone
+ *     tags: [Milestones]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project_id
+ *               - name
+ *               - planned_end
+ *             properties:
+ *               project_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               planned_start:
+ *                 type: string
+ *                 format: date
+ *               planned_end:
+ *                 type: string
+ *                 format: date
+ *               actual_start:
+ *                 type: string
+ *                 format: date
+ *               actual_end:
+ *                 type: string
+ *                 format: date
+ *               percent_complete:
+ *                 type: number
+ *               depends_on:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Milestone created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Invalid field or dependency
+ *       403:
+ *         description: Access to this project is denied
+ *       409:
+ *         description: The project is archived and read-only
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/", requirePermission("project", "update"), requireWritableProject(projectFromBody), async (req, res) => {
+  const { project_id } = req.body;
+  if (!Number.isInteger(Number(project_id))) {
+    return res.status(400).json({ error: "project_id is required" });
+  }
+
+  const { fields, error } = parseMilestoneBody(req.body, { creating: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let scope;
+  try {
+    scope = await getProjectScope(req);
+  } catch (error) {
+    console.error("Error creating milestone:", error);
+    return res.status(500).json({ error: error.message });
+  }
+  if (!inProjectScope(scope, project_id)) {
+    return res.status(403).json({ error: "access to this project is denied" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const project = await client.query(
+      "SELECT 1 FROM projects WHERE project_id = $1 AND deleted_at IS NULL",
+      [project_id]
+    );
+    if (project.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const dependencyError = await validateDependencies(client, Number(project_id), null, fields.depends_on || []);
+    if (dependencyError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: dependencyError });
+    }
+
+    const result = await client.query(
+      `INSERT INTO project_milestones (
+        project_id, name, description, planned_start, planned_end, actual_start, actual_end,
+        percent_complete, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING milestone_id`,
+      [
+        project_id,
+        fields.name,
+        fields.description || null,
+        fields.planned_start || null,
+        fields.planned_end,
+        fields.actual_start || null,
+        fields.actual_end || null,
+        fields.percent_complete === undefined ? null : fields.percent_complete,
+        req.user.user_id,
+      ]
+    );
+    const milestoneId = result.rows[0].milestone_id;
+    await saveDependencies(client, milestoneId, fields.depends_on || []);
+
+    await client.query("COMMIT");
+    res.status(201).json(await findMilestone(req, milestoneId, client));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (milestoneError(error, res)) return;
+    console.error("Error creating milestone:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/project/{projectId}/schedule:
+ *   get:
+ *     summary: Schedule view of a project's milestones
+ *     description: |
+ *       Milestones in date order with progress, status, forecast finish and slip flags.
+ *       A milestone is slipping when it is past planned_end and not complete (overdue),
+ *       past planned_start and not started (late_start), or a dependency will not finish
+ *       before its planned start (dependency_late). Progress uses percent_complete when
+ *       set, 100 once actual_end is recorded, otherwise the share of linked ITRs with an
+ *       approved result_code (A or B). Project progress is weighted by linked BOQ value.
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Evaluate slip flags as of this date instead of today
+ *       - in: query
+ *         name: slipping
+ *         schema:
+ *           type: boolean
+ *         description: Only return slipping milestones
+ *     responses:
+ *       200:
+ *         description: Project schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   type: object
+ *                 as_of:
+ *                   type: string
+ *                   format: date
+ *                 progress_percent:
+ *                   type: number
+ *                 slipping_count:
+ *                   type: integer
+ *                 milestones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Invalid as_of
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/project/:projectId/schedule", requirePermission("project", "read"), requireProjectAccess("projectId"), async (req, res) => {
+  const asOf = req.query.as_of === undefined ? today() : String(req.query.as_of);
+  if (!isIsoDate(asOf)) {
+    return res.status(400).json({ error: "as_of must be a date (YYYY-MM-DD)" });
+  }
+
+  try {
+    const schedule = await loadSchedule(req.params.projectId, asOf);
+    if (!schedule) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (String(req.query.slipping).toLowerCase() === "true") {
+      schedule.milestones = schedule.milestones.filter((milestone) => milestone.slipping);
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error("Error fetching project schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/project/{projectId}/schedule.ics:
+ *   get:
+ *     summary: Export a project's milestones as an iCalendar file
+ *     description: One all-day event per milestone spanning planned_start (or planned_end) to planned_end.
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/project/:projectId/schedule.ics", requirePermission("project", "read"), requireProjectAccess("projectId"), async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req.params.projectId, today());
+    if (!schedule) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const host = req.hostname || "madhuram";
+    const calendar = buildCalendar({
+      name: `${schedule.project.project_name} schedule`,
+      events: schedule.milestones.map((milestone) => ({
+        uid: `milestone-${milestone.milestone_id}@${host}`,
+        summary: `${schedule.project.project_name}: ${milestone.name}`,
+        start: milestone.planned_start || milestone.planned_end,
+        end: milestone.planned_end,
+        description: [
+          milestone.description,
+          `Progress: ${milestone.progress_percent}% (${milestone.status.replace(/_/g, " ")})`,
+          milestone.slipping ? `Slipping: ${milestone.slip_reasons.join(", ")}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      })),
+    });
+
+    const filename = `project-${schedule.project.project_id}-schedule.ics`;
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(calendar);
+  } catch (error) {
+    console.error("Error exporting project schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/{id}:
+ *   get:
+ *     summary: Get a milestone with its progress and slip flags
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       404:
+ *         description: Milestone not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id", requirePermission("project", "read"), async (req, res) => {
+  try {
+    const milestone = Number.isInteger(Number(req.params.id)) ? await findMilestone(req, req.params.id) : null;
+    if (!milestone) {
+      return res.status(404).json({ error: "Milestone not found" });
+    }
+    res.json(milestone);
+  } catch (error) {
+    console.error("Error fetching milestone:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/{id}:
+ *   put:
+ *     summary: Update a milestone
+ *     description: Only the fields sent are changed. depends_on replaces the dependency list.
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               planned_start:
+ *                 type: string
+ *                 format: date
+ *               planned_end:
+ *                 type: string
+ *                 format: date
+ *               actual_start:
+ *                 type: string
+ *                 format: date
+ *               actual_end:
+ *                 type: string
+ *                 format: date
+ *               percent_complete:
+ *                 type: number
+ *                 nullable: true
+ *               depends_on:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Invalid field or dependency
+ *       404:
+ *         description: Milestone not found
+ *       409:
+ *         description: The project is archived and read-only
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/:id", requirePermission("project", "update"), requireWritableProject(projectFromRecord("project_milestones", "milestone_id")), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(404).json({ error: "Milestone not found" });
+  }
+  const { fields, error } = parseMilestoneBody(req.body, { creating: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const existing = await client.query(
+      `SELECT project_id FROM project_milestones WHERE milestone_id = $1 AND ${scopeCondition} FOR UPDATE`,
+      values
+    );
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Milestone not found" });
+    }
+
+    if (fields.depends_on) {
+      const dependencyError = await validateDependencies(client, existing.rows[0].project_id, id, fields.depends_on);
+      if (dependencyError) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: dependencyError });
+      }
+      await saveDependencies(client, id, fields.depends_on);
+    }
+
+    const updates = [];
+    const updateValues = [id];
+    Object.entries(fields).forEach(([name, value]) => {
+      if (name === "depends_on") return;
+      updateValues.push(value);
+      updates.push(`${name} = $${updateValues.length}`);
+    });
+    await client.query(
+      `UPDATE project_milestones SET ${[...updates, "updated_at = CURRENT_TIMESTAMP"].join(", ")} WHERE milestone_id = $1`,
+      updateValues
+    );
+
+    await client.query("COMMIT");
+    res.json(await findMilestone(req, id, client));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (milestoneError(error, res)) return;
+    console.error("Error updating milestone:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/{id}/links:
+ *   put:
+ *     summary: Set the BOQ items and ITRs linked to a milestone
+ *     description: |
+ *       Each list replaces the milestone's current links of that kind; omit a list to leave
+ *       it unchanged. Items must belong to the milestone's project. An item linked to
+ *       another milestone moves to this one.
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               boq_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               itr_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone with updated progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Invalid or unknown ids
+ *       404:
+ *         description: Milestone not found
+ *       409:
+ *         description: The project is archived and read-only
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/:id/links", requirePermission("project", "update"), requireWritableProject(projectFromRecord("project_milestones", "milestone_id")), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(404).json({ error: "Milestone not found" });
+  }
+  const links = [
+    ["boq_ids", "boqs", "boq_id"],
+    ["itr_ids", "itrs", "itr_id"],
+  ].filter(([name]) => req.body[name] !== undefined);
+
+  for (const [name] of links) {
+    const list = req.body[name];
+    if (!Array.isArray(list) || list.some((value) => !Number.isInteger(Number(value)))) {
+      return res.status(400).json({ error: `${name} must be an array of ids` });
+    }
+  }
+  if (links.length === 0) {
+    return res.status(400).json({ error: "boq_ids or itr_ids is required" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const milestone = await client.query(
+      `SELECT project_id FROM project_milestones WHERE milestone_id = $1 AND ${scopeCondition}`,
+      values
+    );
+    if (milestone.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Milestone not found" });
+    }
+    const projectId = milestone.rows[0].project_id;
+
+    for (const [name, table, idColumn] of links) {
+      const ids = [...new Set(req.body[name].map(Number))];
+      const found = await client.query(
+        `SELECT ${idColumn} AS id FROM ${table} WHERE project_id = $1 AND ${idColumn} = ANY($2::int[])`,
+        [projectId, ids]
+      );
+      const foundIds = new Set(found.rows.map((row) => row.id));
+      const unknown = ids.filter((value) => !foundIds.has(value));
+      if (unknown.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `unknown ${idColumn} ${unknown.join(", ")} in this project` });
+      }
+
+      await client.query(
+        `UPDATE ${table} SET milestone_id = NULL WHERE milestone_id = $1 AND NOT (${idColumn} = ANY($2::int[]))`,
+        [id, ids]
+      );
+      await client.query(`UPDATE ${table} SET milestone_id = $1 WHERE ${idColumn} = ANY($2::int[])`, [id, ids]);
+    }
+
+    await client.query("COMMIT");
+    res.json(await findMilestone(req, id, client));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error linking milestone:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/milestones/{id}:
+ *   delete:
+ *     summary: Delete a milestone
+ *     description: Linked BOQ items and ITRs are unlinked, and other milestones stop depending on it.
+ *     tags: [Milestones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone deleted
+ *       404:
+ *         description: Milestone not found
+ *       409:
+ *         description: The project is archived and read-only
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/:id", requirePermission("project", "update"), requireWritableProject(projectFromRecord("project_milestones", "milestone_id")), async (req, res) => {
+  if (!Number.isInteger(Number(req.params.id))) {
+    return res.status(404).json({ error: "Milestone not found" });
+  }
+
+  try {
+    const values = [req.params.id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(
+      `DELETE FROM project_milestones WHERE milestone_id = $1 AND ${scopeCondition} RETURNING milestone_id`,
+      values
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Milestone not found" });
+    }
+    res.json({ message: "Milestone deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting milestone:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,53 @@
 const express = require("express");
 const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+  requireWritableProject,
+  projectFromBody,
+  projectFromRecord,
+} = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { findActivityRow, recordActivity } = require("../utils/activity");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
 const router = express.Router();
 
+const MIR_LIST = {
+  table: "mirs",
+  idColumn: "mir_id",
+  sortFields: {
+    created_at: "created_at",
+    updated_at: "updated_at",
+    inspection_date_time: "inspection_date_time",
+    client_submission_date: "client_submission_date",
+    mir_refrence_no: "mir_refrence_no",
+  },
+  defaultSort: "created_at",
+  filters: {
+    client_name: "client_name",
+    contractor: "contractor",
+    pmc: "pmc",
+    vendor_code: "vendor_code",
+    material_code: "material_code",
+    project_id: "project_id",
+  },
+  booleanFilters: { submitted: "mir_submited" },
+  dateFilters: {
+    inspection: "inspection_date_time",
+    submission: "client_submission_date",
+    created: "created_at",
+  },
+  searchColumns: ["project_name", "project_code", "mir_refrence_no", "material_code", "client_name", "contractor", "vendor_code"],
+};
+
 // Ensure upload directory exists
 const uploadDir = path.join(__dirname, "../../uploads/mir");
 if (!fs.existsSync(uploadDir)) {
@@ -106,7 +148,7 @@ const upload = multer({ storage: storage });
  *                   type: string
  *                   description: The path to the uploaded file
  */
-router.post("/upload", upload.single("file"), (req, res) => {
+router.post("/upload", requirePermission("mir", "create"), upload.single("file"), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "No file uploaded" });
   }
@@ -170,10 +212,12 @@ router.post("/upload", upload.single("file"), (req, res) => {
  *         description: MIR created successfully
  *       400:
  *         description: Bad request (invalid project_id or data)
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Server error
  */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("mir", "create"), requireWritableProject(projectFromBody), async (req, res) => {
   try {
     const {
       project_name,
@@ -192,6 +236,10 @@ router.post("/", async (req, res) => {
       project_id,
     } = req.body;
 
+    if (!inProjectScope(await getProjectScope(req), project_id)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
     const query = `
       INSERT INTO mirs (
         project_name, project_code, client_name, pmc, contractor, vendor_code,
@@ -220,6 +268,7 @@ router.post("/", async (req, res) => {
     ];
 
     const result = await pool.query(query, values);
+    await recordActivity(pool, req, "mir", null, result.rows[0]);
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error("Error creating MIR:", error);
@@ -236,20 +285,89 @@ router.post("/", async (req, res) => {
  *   get:
  *     summary: Get all MIRs
  *     tags: [MIR]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, inspection_date_time, client_submission_date, mir_refrence_no]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: client_name
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: contractor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vendor_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: material_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: submitted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: inspection_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: inspection_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of all MIRs
+ *         description: A page of MIRs
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/MIR'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MIR'
+ *       400:
+ *         description: Invalid list parameter
  */
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("mir", "read"), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM mirs ORDER BY created_at DESC");
-    res.json(result.rows);
+    const { list, error } = parseListQuery(req.query, MIR_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const values = [];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    res.json(await fetchList(pool, MIR_LIST, list, [scopeCondition], values));
   } catch (error) {
     console.error("Error fetching MIRs:", error);
     res.status(500).json({ error: "Internal Server Error" });
@@ -274,10 +392,12 @@ router.get("/", async (req, res) => {
  *       404:
  *         description: MIR not found
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("mir", "read"), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query("SELECT * FROM mirs WHERE mir_id = $1", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`SELECT * FROM mirs WHERE mir_id = $1 AND ${scopeCondition}`, values);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "MIR not found" });
@@ -302,23 +422,137 @@ router.get("/:id", async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, inspection_date_time, client_submission_date, mir_refrence_no]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: client_name
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: contractor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vendor_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: material_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: submitted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: inspection_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: inspection_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: A page of MIRs for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MIR'
+ *       400:
+ *         description: Invalid list parameter
+ *       403:
+ *         description: Access to this project is denied
+ */
+router.get("/project/:projectId", requirePermission("mir", "read"), requireProjectAccess(), async (req, res) => {
+  try {
+    const { list, error } = parseListQuery(req.query, MIR_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const values = [req.params.projectId];
+    res.json(await fetchList(pool, MIR_LIST, list, ["project_id = $1"], values));
+  } catch (error) {
+    console.error("Error fetching project MIRs:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/mir/project/{projectId}/templates:
+ *   get:
+ *     summary: Get the MIR templates of a project
+ *     description: dynamic_field layouts, with blank values, that a project clone carried over from its source. They are not MIRs and do not appear in MIR lists or counts.
+ *     tags: [MIR]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of MIRs for the project
+ *         description: The project's MIR templates, oldest first
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/MIR'
+ *                 type: object
+ *                 properties:
+ *                   template_id:
+ *                     type: integer
+ *                   project_id:
+ *                     type: integer
+ *                   dynamic_field:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Access to this project is denied
  */
-router.get("/project/:projectId", async (req, res) => {
+router.get("/project/:projectId/templates", requirePermission("mir", "read"), requireProjectAccess(), async (req, res) => {
   try {
-    const { projectId } = req.params;
-    const result = await pool.query("SELECT * FROM mirs WHERE project_id = $1 ORDER BY created_at DESC", [projectId]);
+    const result = await pool.query(
+      "SELECT * FROM mir_templates WHERE project_id = $1 ORDER BY template_id",
+      [req.params.projectId]
+    );
     res.json(result.rows);
   } catch (error) {
-    console.error("Error fetching project MIRs:", error);
+    console.error("Error fetching MIR templates:", error);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
@@ -381,8 +615,10 @@ router.get("/project/:projectId", async (req, res) => {
  *     responses:
  *       200:
  *         description: MIR updated successfully
+ *       409:
+ *         description: The project is archived and read-only
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("mir", "update"), requireWritableProject(projectFromRecord("mirs", "mir_id")), requireWritableProject(projectFromBody), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -402,6 +638,11 @@ router.put("/:id", async (req, res) => {
       project_id,
     } = req.body;
 
+    const scope = await getProjectScope(req);
+    if (project_id !== undefined && !inProjectScope(scope, project_id)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
     let updateFields = [];
     let values = [];
     let counter = 1;
@@ -428,14 +669,17 @@ router.put("/:id", async (req, res) => {
     }
 
     values.push(id);
-    const query = `UPDATE mirs SET ${updateFields.join(", ")} WHERE mir_id = $${counter} RETURNING *`;
+    const scopeCondition = projectScopeCondition(scope, "project_id", values);
+    const query = `UPDATE mirs SET ${updateFields.join(", ")} WHERE mir_id = $${counter} AND ${scopeCondition} RETURNING *`;
 
+    const before = await findActivityRow(pool, "mir", id);
     const result = await pool.query(query, values);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "MIR not found" });
     }
 
+    await recordActivity(pool, req, "mir", before, result.rows[0]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Error updating MIR:", error);
@@ -458,16 +702,21 @@ router.put("/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: MIR deleted successfully
+ *       409:
+ *         description: The project is archived and read-only
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("mir", "delete"), requireWritableProject(projectFromRecord("mirs", "mir_id")), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM mirs WHERE mir_id = $1 RETURNING *", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`DELETE FROM mirs WHERE mir_id = $1 AND ${scopeCondition} RETURNING *`, values);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "MIR not found" });
     }
 
+    await recordActivity(pool, req, "mir", result.rows[0], null);
     res.json({ message: "MIR deleted successfully" });
   } catch (error) {
     console.error("Error deleting MIR:", error);
@@ -1,10 +1,51 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+  requireWritableProject,
+  projectFromBody,
+  projectFromRecord,
+} = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { checkPoBudget, addsPoSpend } = require("../utils/projectBudget");
+const { findActivityRow, recordActivity } = require("../utils/activity");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
+const PO_LIST = {
+  table: "pos",
+  idColumn: "po_id",
+  sortFields: {
+    created_at: "created_at",
+    updated_at: "updated_at",
+    po_date: "po_date",
+    total_amount: "total_amount",
+    vendor_name: "vendor_name",
+    order_no: "order_no",
+    status: "status",
+  },
+  defaultSort: "created_at",
+  filters: {
+    status: "status",
+    vendor_name: "vendor_name",
+    site: "site",
+    order_no: "order_no",
+    budget_category: "budget_category",
+  },
+  booleanFilters: { over_budget: "over_budget" },
+  dateFilters: { po: "po_date", indent: "indent_date", created: "created_at" },
+  rangeFilters: { total: "total_amount" },
+  searchColumns: ["vendor_name", "order_no", "indent_no", "company_name", "site", "contact_person"],
+};
+
 // Ensure upload directory exists
 const uploadDir = path.join(__dirname, "../../uploads/po");
 if (!fs.existsSync(uploadDir)) {
@@ -62,7 +103,7 @@ const upload = multer({ storage: storage });
  *       400:
  *         description: No file uploaded
  */
-router.post("/upload", upload.single("file"), (req, res) => {
+router.post("/upload", requirePermission("po", "create"), upload.single("file"), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "No file uploaded" });
   }
@@ -166,13 +207,18 @@ router.post("/upload", upload.single("file"), (req, res) => {
  *               status:
  *                 type: string
  *                 default: created
+ *               budget_category:
+ *                 type: string
+ *                 description: BOQ category whose budget this PO spends; without it the PO counts against the project budget
  *     responses:
  *       201:
- *         description: PO created successfully
+ *         description: PO created successfully. over_budget is true and budget_check is returned when it exceeds the budget.
+ *       409:
+ *         description: The project is archived and read-only, or the PO would exceed the project's budget_block_percent
  *       500:
  *         description: Internal server error
  */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("po", "create"), requireWritableProject(projectFromBody), async (req, res) => {
   const {
     project_id,
     company_name,
@@ -204,9 +250,24 @@ router.post("/", async (req, res) => {
     payment,
     notes,
     status,
+    budget_category,
   } = req.body;
 
   try {
+    if (!inProjectScope(await getProjectScope(req), project_id)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
+    const budgetCheck = Number.isInteger(Number(project_id))
+      ? await checkPoBudget(pool, { projectId: project_id, category: budget_category, amount: total_amount, status: status || "created" })
+      : null;
+    if (budgetCheck && budgetCheck.level === "blocked") {
+      return res.status(409).json({
+        error: `PO would take ${budgetCheck.scope} spend to ${budgetCheck.utilization_percent}% of budget, above the ${budgetCheck.block_percent}% limit`,
+        budget_check: budgetCheck,
+      });
+    }
+
     const result = await pool.query(
       `INSERT INTO pos (
         project_id, company_name, company_subtitle, company_email, company_gst,
@@ -214,8 +275,8 @@ router.post("/", async (req, res) => {
         contact_person, vendor_address, primary_contact_name, primary_contact_number,
         secondary_contact_number, secondary_contact_name, items, discount,
         discount_amount, after_discount, cgst, cgst_amount, sgst, sgst_amount,
-        total_amount, delivery, payment, notes, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30) RETURNING *`,
+        total_amount, delivery, payment, notes, status, budget_category, over_budget
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32) RETURNING *`,
       [
         project_id,
         company_name,
@@ -247,9 +308,12 @@ router.post("/", async (req, res) => {
         payment,
         notes,
         status || 'created',
+        budget_category ? String(budget_category).trim() : null,
+        Boolean(budgetCheck && budgetCheck.level === "over_budget"),
       ]
     );
-    res.status(201).json(result.rows[0]);
+    await recordActivity(pool, req, "po", null, result.rows[0]);
+    res.status(201).json(budgetCheck && budgetCheck.level !== "ok" ? { ...result.rows[0], budget_check: budgetCheck } : result.rows[0]);
   } catch (error) {
     console.error("Error creating PO:", error);
     res.status(500).json({ error: error.message });
@@ -269,17 +333,88 @@ router.post("/", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Project ID
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, po_date, total_amount, vendor_name, order_no, status]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated values match any of them
+ *       - in: query
+ *         name: vendor_name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: site
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: budget_category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: over_budget
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: po_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: po_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: total_min
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: total_max
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: List of POs
+ *         description: A page of POs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       400:
+ *         description: Invalid list parameter
  *       500:
  *         description: Internal server error
+ *       403:
+ *         description: Access to this project is denied
  */
-router.get("/project/:projectId", async (req, res) => {
+router.get("/project/:projectId", requirePermission("po", "read"), requireProjectAccess(), async (req, res) => {
   const { projectId } = req.params;
   try {
-    const result = await pool.query("SELECT * FROM pos WHERE project_id = $1 ORDER BY created_at DESC", [projectId]);
-    res.json(result.rows);
+    const { list, error } = parseListQuery(req.query, PO_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await fetchList(pool, PO_LIST, list, ["project_id = $1"], [projectId]));
   } catch (error) {
     console.error("Error fetching POs:", error);
     res.status(500).json({ error: error.message });
@@ -307,10 +442,12 @@ router.get("/project/:projectId", async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("po", "read"), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("SELECT * FROM pos WHERE po_id = $1", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`SELECT * FROM pos WHERE po_id = $1 AND ${scopeCondition}`, values);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "PO not found" });
     }
@@ -342,13 +479,17 @@ router.get("/:id", async (req, res) => {
  *             $ref: '#/components/schemas/POUpdate'
  *     responses:
  *       200:
- *         description: PO updated successfully
+ *         description: PO updated successfully; over_budget is recomputed
  *       404:
  *         description: PO not found
+ *       409:
+ *         description: >
+ *           The project is archived and read-only, or a higher total_amount, another budget_category or a
+ *           committed status would take spend past budget_block_percent
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("po", "update"), requireWritableProject(projectFromRecord("pos", "po_id")), async (req, res) => {
   const { id } = req.params;
   const {
     company_name,
@@ -380,9 +521,73 @@ router.put("/:id", async (req, res) => {
     payment,
     notes,
     status,
+    budget_category,
   } = req.body;
 
   try {
+    const values = [
+      company_name,
+      company_subtitle,
+      company_email,
+      company_gst,
+      indent_no,
+      indent_date,
+      order_no,
+      po_date,
+      vendor_name,
+      site,
+      contact_person,
+      vendor_address,
+      primary_contact_name,
+      primary_contact_number,
+      secondary_contact_number,
+      secondary_contact_name,
+      items ? JSON.stringify(items) : null,
+      discount,
+      discount_amount,
+      after_discount,
+      cgst,
+      cgst_amount,
+      sgst,
+      sgst_amount,
+      total_amount,
+      delivery,
+      payment,
+      notes,
+      status,
+      id,
+      budget_category === undefined ? null : String(budget_category).trim(),
+    ];
+    const scope = await getProjectScope(req);
+    const scopeCondition = projectScopeCondition(scope, "project_id", values);
+
+    const before = Number.isInteger(Number(id)) ? await findActivityRow(pool, "po", id) : null;
+    if (!before || !inProjectScope(scope, before.project_id)) {
+      return res.status(404).json({ error: "PO not found" });
+    }
+
+    // Changes that add spend to a budget line are blocked like a new PO would be
+    const next = {
+      status: status ?? before.status,
+      total_amount: total_amount ?? before.total_amount,
+      budget_category: budget_category === undefined ? before.budget_category : String(budget_category).trim() || null,
+    };
+    if (addsPoSpend(before, next)) {
+      const check = await checkPoBudget(pool, {
+        projectId: before.project_id,
+        category: next.budget_category,
+        amount: next.total_amount,
+        status: next.status,
+        excludePoId: before.po_id,
+      });
+      if (check && check.level === "blocked") {
+        return res.status(409).json({
+          error: `PO would take ${check.scope} spend to ${check.utilization_percent}% of budget, above the ${check.block_percent}% limit`,
+          budget_check: check,
+        });
+      }
+    }
+
     const result = await pool.query(
       `UPDATE pos SET
         company_name = COALESCE($1, company_name),
@@ -414,46 +619,32 @@ router.put("/:id", async (req, res) => {
         payment = COALESCE($27, payment),
         notes = COALESCE($28, notes),
         status = COALESCE($29, status),
+        budget_category = CASE WHEN $31::text IS NULL THEN budget_category ELSE NULLIF($31, '') END,
         updated_at = CURRENT_TIMESTAMP
-      WHERE po_id = $30 RETURNING *`,
-      [
-        company_name,
-        company_subtitle,
-        company_email,
-        company_gst,
-        indent_no,
-        indent_date,
-        order_no,
-        po_date,
-        vendor_name,
-        site,
-        contact_person,
-        vendor_address,
-        primary_contact_name,
-        primary_contact_number,
-        secondary_contact_number,
-        secondary_contact_name,
-        items ? JSON.stringify(items) : null,
-        discount,
-        discount_amount,
-        after_discount,
-        cgst,
-        cgst_amount,
-        sgst,
-        sgst_amount,
-        total_amount,
-        delivery,
-        payment,
-        notes,
-        status,
-        id,
-      ]
+      WHERE po_id = $30 AND ${scopeCondition} RETURNING *`,
+      values
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "PO not found" });
     }
-    res.json(result.rows[0]);
+
+    // The over-budget flag follows the new amount, category and status
+    const po = result.rows[0];
+    const budgetCheck = await checkPoBudget(pool, {
+      projectId: po.project_id,
+      category: po.budget_category,
+      amount: po.total_amount,
+      status: po.status,
+      excludePoId: po.po_id,
+    });
+    const overBudget = Boolean(budgetCheck && budgetCheck.level !== "ok");
+    if (overBudget !== po.over_budget) {
+      await pool.query("UPDATE pos SET over_budget = $2 WHERE po_id = $1", [po.po_id, overBudget]);
+      po.over_budget = overBudget;
+    }
+    await recordActivity(pool, req, "po", before, po);
+    res.json(po);
   } catch (error) {
     console.error("Error updating PO:", error);
     res.status(500).json({ error: error.message });
@@ -478,16 +669,21 @@ router.put("/:id", async (req, res) => {
  *         description: PO deleted successfully
  *       404:
  *         description: PO not found
+ *       409:
+ *         description: The project is archived and read-only
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("po", "delete"), requireWritableProject(projectFromRecord("pos", "po_id")), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("DELETE FROM pos WHERE po_id = $1 RETURNING *", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(`DELETE FROM pos WHERE po_id = $1 AND ${scopeCondition} RETURNING *`, values);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "PO not found" });
     }
+    await recordActivity(pool, req, "po", result.rows[0], null);
     res.json({ message: "PO deleted successfully" });
   } catch (error) {
     console.error("Error deleting PO:", error);
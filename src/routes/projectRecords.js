@@ -0,0 +1,665 @@
+const express = require("express");
+const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const { requireProjectAccess } = require("../middleware/projectScope");
+const { requireWritableProject, projectFromParam } = require("../middleware/projectState");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { PROJECT_RECORD_TYPES, parseRecordFields, insertRecord } = require("../utils/projectRecords");
+const { isSerialId } = require("../utils/ids");
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     projectIdPath:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: Project ID
+ *   schemas:
+ *     PrPoTracking:
+ *       type: object
+ *       properties:
+ *         tracking_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         pr_number:
+ *           type: string
+ *         pr_date:
+ *           type: string
+ *           format: date
+ *         po_number:
+ *           type: string
+ *         po_date:
+ *           type: string
+ *           format: date
+ *         po_id:
+ *           type: integer
+ *           description: Purchase order in this project, when one has been raised
+ *         vendor_name:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         required_by:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [pr_raised, pr_approved, po_issued, delivered, closed, cancelled]
+ *         remarks:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     Sample:
+ *       type: object
+ *       properties:
+ *         sample_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         material:
+ *           type: string
+ *         description:
+ *           type: string
+ *         make:
+ *           type: string
+ *         vendor_name:
+ *           type: string
+ *         submitted_on:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [pending, submitted, approved, approved_with_comments, rejected]
+ *         reviewed_by:
+ *           type: string
+ *           format: uuid
+ *           description: Set when the status moves to approved, approved_with_comments or rejected
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *         remarks:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     MaterialListEntry:
+ *       type: object
+ *       properties:
+ *         entry_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         material:
+ *           type: string
+ *         specification:
+ *           type: string
+ *         make:
+ *           type: string
+ *         unit:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [proposed, submitted, approved, rejected]
+ *         reviewed_by:
+ *           type: string
+ *           format: uuid
+ *           description: Set when the status moves to approved or rejected
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *         remarks:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Checks fields that reference other records (spec.projectReferences) point
+ * at records of the same project. Returns an error message or null.
+ */
+async function checkReferences(spec, projectId, fields) {
+  for (const [name, { table, column }] of Object.entries(spec.projectReferences || {})) {
+    if (fields[name] === undefined || fields[name] === null) continue;
+    const result = await pool.query(
+      `SELECT 1 FROM ${table} WHERE ${column} = $1 AND project_id = $2`,
+      [fields[name], projectId]
+    );
+    if (result.rows.length === 0) return `${name} ${fields[name]} does not belong to this project`;
+  }
+  return null;
+}
+
+/**
+ * CRUD routes for one record type, mounted under /api/projects/:id/<path>.
+ * Reads need project:read, writes project:update; archived projects are
+ * read-only.
+ */
+function createProjectRecordRouter(type) {
+  const spec = PROJECT_RECORD_TYPES[type];
+  const router = express.Router({ mergeParams: true });
+  const listSpec = {
+    table: spec.table,
+    idColumn: spec.idColumn,
+    sortFields: {
+      created_at: "created_at",
+      updated_at: "updated_at",
+      status: "status",
+      [spec.titleField]: spec.titleField,
+    },
+    defaultSort: "created_at",
+    defaultOrder: "asc",
+    filters: { status: "status" },
+    searchColumns: spec.searchColumns,
+  };
+  const notFound = `${spec.label} not found`;
+  const writable = requireWritableProject(projectFromParam("id"));
+
+  router.get("/", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+    try {
+      const { list, error } = parseListQuery(req.query, listSpec);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json(await fetchList(pool, listSpec, list, ["project_id = $1"], [req.params.id]));
+    } catch (error) {
+      console.error(`Error fetching ${spec.table}:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/", requirePermission("project", "update"), requireProjectAccess("id"), writable, async (req, res) => {
+    const { fields, error } = parseRecordFields(spec, req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const referenceError = await checkReferences(spec, req.params.id, fields);
+      if (referenceError) {
+        return res.status(400).json({ error: referenceError });
+      }
+
+      res.status(201).json(await insertRecord(pool, spec, req.params.id, fields, req.user.user_id));
+    } catch (error) {
+      console.error(`Error creating ${spec.table}:`, error);
+      if (error.code === "23503") {
+        return res.status(404).json({ error: "Project not found" });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/:recordId", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+    if (!isSerialId(req.params.recordId)) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM ${spec.table} WHERE ${spec.idColumn} = $1 AND project_id = $2`,
+        [req.params.recordId, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: notFound });
+      }
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(`Error fetching ${spec.table}:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put("/:recordId", requirePermission("project", "update"), requireProjectAccess("id"), writable, async (req, res) => {
+    if (!isSerialId(req.params.recordId)) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    const { fields, error } = parseRecordFields(spec, req.body, { creating: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: "No fields to update" });
+    }
+
+    try {
+      const referenceError = await checkReferences(spec, req.params.id, fields);
+      if (referenceError) {
+        return res.status(400).json({ error: referenceError });
+      }
+
+      const values = [req.params.recordId, req.params.id];
+      const updates = Object.entries(fields).map(([name, value]) => {
+        values.push(value);
+        return `${name} = $${values.length}`;
+      });
+
+      // A status change into a review status records the reviewer; leaving one clears it
+      if (fields.status !== undefined && spec.reviewStatuses.length > 0) {
+        values.push(spec.reviewStatuses, req.user.user_id);
+        const statusParam = `$${updates.findIndex((update) => update.startsWith("status =")) + 3}`;
+        const reviewParam = `$${values.length - 1}::text[]`;
+        const userParam = `$${values.length}`;
+        updates.push(
+          `reviewed_by = CASE WHEN status IS NOT DISTINCT FROM ${statusParam} THEN reviewed_by
+             WHEN ${statusParam} = ANY(${reviewParam}) THEN ${userParam}::uuid ELSE NULL END`,
+          `reviewed_at = CASE WHEN status IS NOT DISTINCT FROM ${statusParam} THEN reviewed_at
+             WHEN ${statusParam} = ANY(${reviewParam}) THEN CURRENT_TIMESTAMP ELSE NULL END`
+        );
+      }
+
+      const result = await pool.query(
+        `UPDATE ${spec.table} SET ${[...updates, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+         WHERE ${spec.idColumn} = $1 AND project_id = $2
+         RETURNING *`,
+        values
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: notFound });
+      }
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(`Error updating ${spec.table}:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/:recordId", requirePermission("project", "update"), requireProjectAccess("id"), writable, async (req, res) => {
+    if (!isSerialId(req.params.recordId)) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    try {
+      const result = await pool.query(
+        `DELETE FROM ${spec.table} WHERE ${spec.idColumn} = $1 AND project_id = $2 RETURNING ${spec.idColumn}`,
+        [req.params.recordId, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: notFound });
+      }
+      res.json({ message: `${spec.label} deleted successfully` });
+    } catch (error) {
+      console.error(`Error deleting ${spec.table}:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/pr-po-tracking:
+ *   get:
+ *     summary: List a project's PR/PO tracking entries
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, status, description]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       403:
+ *         description: Access to this project is denied
+ *   post:
+ *     summary: Add a PR/PO tracking entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrPoTracking'
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *       400:
+ *         description: description missing, invalid field or status, or po_id from another project
+ *       409:
+ *         description: The project is archived and read-only
+ * /api/projects/{id}/pr-po-tracking/{recordId}:
+ *   get:
+ *     summary: Get a PR/PO tracking entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrPoTracking'
+ *       404:
+ *         description: Entry not found
+ *   put:
+ *     summary: Update a PR/PO tracking entry
+ *     description: Only the fields sent are changed.
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrPoTracking'
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid field or status
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: The project is archived and read-only
+ *   delete:
+ *     summary: Delete a PR/PO tracking entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: The project is archived and read-only
+ */
+const prPoTrackingRouter = createProjectRecordRouter("pr_po_tracking");
+
+/**
+ * @swagger
+ * /api/projects/{id}/samples:
+ *   get:
+ *     summary: List a project's material samples
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, status, material]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: For example submitted to list samples awaiting approval
+ *     responses:
+ *       200:
+ *         description: A page of samples
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       403:
+ *         description: Access to this project is denied
+ *   post:
+ *     summary: Add a material sample
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sample'
+ *     responses:
+ *       201:
+ *         description: Sample created
+ *       400:
+ *         description: material missing, or invalid field or status
+ *       409:
+ *         description: The project is archived and read-only
+ * /api/projects/{id}/samples/{recordId}:
+ *   get:
+ *     summary: Get a material sample
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sample
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Sample'
+ *       404:
+ *         description: Sample not found
+ *   put:
+ *     summary: Update a material sample, including approving or rejecting it
+ *     description: Only the fields sent are changed. Moving the status to a review outcome records the caller as reviewer.
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sample'
+ *     responses:
+ *       200:
+ *         description: Sample updated
+ *       400:
+ *         description: Invalid field or status
+ *       404:
+ *         description: Sample not found
+ *       409:
+ *         description: The project is archived and read-only
+ *   delete:
+ *     summary: Delete a material sample
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sample deleted
+ *       404:
+ *         description: Sample not found
+ *       409:
+ *         description: The project is archived and read-only
+ */
+const samplesRouter = createProjectRecordRouter("samples");
+
+/**
+ * @swagger
+ * /api/projects/{id}/material-list:
+ *   get:
+ *     summary: List a project's material list (ML) entries
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, status, material]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       403:
+ *         description: Access to this project is denied
+ *   post:
+ *     summary: Add a material list entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaterialListEntry'
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *       400:
+ *         description: material missing, or invalid field or status
+ *       409:
+ *         description: The project is archived and read-only
+ * /api/projects/{id}/material-list/{recordId}:
+ *   get:
+ *     summary: Get a material list entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaterialListEntry'
+ *       404:
+ *         description: Entry not found
+ *   put:
+ *     summary: Update a material list entry
+ *     description: Only the fields sent are changed. Moving the status to approved or rejected records the caller as reviewer.
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaterialListEntry'
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid field or status
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: The project is archived and read-only
+ *   delete:
+ *     summary: Delete a material list entry
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/projectIdPath'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: The project is archived and read-only
+ */
+const materialListRouter = createProjectRecordRouter("ml_management");
+
+module.exports = { prPoTrackingRouter, samplesRouter, materialListRouter };
@@ -3,9 +3,62 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const { pool } = require("../db");
+const { hasPermission, requirePermission } = require("../middleware/permissions");
+const {
+  getProjectScope,
+  inProjectScope,
+  projectScopeCondition,
+  requireProjectAccess,
+} = require("../middleware/projectScope");
+const {
+  PROJECT_ROLES,
+  addProjectMember,
+  removeProjectMember,
+} = require("../utils/projectMembers");
+const { parseListQuery, fetchList } = require("../utils/listQuery");
+const { UNCOMMITTED_PO_STATUSES, toNumber, parseAmount, totalBudget, budgetReport } = require("../utils/projectBudget");
+const { PROJECT_RECORD_TYPES, legacyEntries, legacyEntryFields, insertRecord } = require("../utils/projectRecords");
+const { ACTIVITY_ENTITY_TYPES, ACTIVITY_ACTIONS, findActivityRow, recordActivity, recordActivityEvent } = require("../utils/activity");
+const {
+  PROJECT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  discardUploads,
+  requireWritableProject,
+  projectFromParam,
+} = require("../middleware/projectState");
+const { projectUploadPaths } = require("../utils/projectDossier");
+const { isSerialId } = require("../utils/ids");
 
 const router = express.Router();
 
+const PROJECT_LIST = {
+  table: "projects",
+  idColumn: "project_id",
+  sortFields: {
+    created_at: "created_at",
+    updated_at: "updated_at",
+    project_name: "project_name",
+    client_name: "client_name",
+    project_startdate: "project_startdate",
+    status: "status",
+  },
+  defaultSort: "created_at",
+  filters: { client_name: "client_name", location: "location", wo_number: "wo_number", status: "status" },
+  dateFilters: { start: "project_startdate", created: "created_at" },
+  searchColumns: ["project_name", "client_name", "location", "wo_number"],
+};
+
+const ACTIVITY_LIST = {
+  table: "project_activity",
+  idColumn: "activity_id",
+  sortFields: { created_at: "created_at" },
+  defaultSort: "created_at",
+  filters: { entity_type: "entity_type", action: "action", user_id: "user_id" },
+  dateFilters: { created: "created_at" },
+  searchColumns: ["summary", "actor_name"],
+};
+
 // Ensure uploads directory exists, if not create it
 const uploadDir = path.join(__dirname, "../../uploads");
 if (!fs.existsSync(uploadDir)) {
@@ -76,24 +129,182 @@ const uploadMiddleware = (req, res, next) => {
  *           type: string
  *         pr_po_tracking:
  *           type: array
+ *           deprecated: true
+ *           description: Always empty; see /api/projects/{id}/pr-po-tracking
  *           items:
  *             type: string
  *         samples:
  *           type: array
+ *           deprecated: true
+ *           description: Always empty; see /api/projects/{id}/samples
  *           items:
  *             type: string
  *         mas_file:
  *           type: string
  *         ml_management:
  *           type: array
+ *           deprecated: true
+ *           description: Always empty; see /api/projects/{id}/material-list
  *           items:
  *             type: string
  *         user_id:
  *           type: string
  *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [planning, active, on_hold, completed, archived]
+ *           description: Archived projects and their BOQs, MIRs, ITRs and POs are read-only
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           description: Set while the project is in the trash
+ *         budget_amount:
+ *           type: number
+ *           nullable: true
+ *         budget_warn_percent:
+ *           type: number
+ *         budget_block_percent:
+ *           type: number
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ProjectActivity:
+ *       type: object
+ *       properties:
+ *         activity_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         entity_type:
+ *           type: string
+ *           enum: [project, boq, mir, itr, po, file]
+ *         entity_id:
+ *           type: integer
+ *           description: For file events, the ID of the record the file belongs to
+ *         related_type:
+ *           type: string
+ *           nullable: true
+ *           description: For file events, the type of the record the file belongs to
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, status]
+ *         summary:
+ *           type: string
+ *           example: "Updated BOQ item 1.2: quantity, amount"
+ *         changes:
+ *           type: array
+ *           description: Changed fields; from and to are left out for JSON documents
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 nullable: true
+ *               to:
+ *                 type: string
+ *                 nullable: true
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         api_key_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         actor_name:
+ *           type: string
+ *           description: Email of the user, or service account name for API keys
  *         created_at:
  *           type: string
  *           format: date-time
+ *     ProjectBudgetLine:
+ *       type: object
+ *       properties:
+ *         category:
+ *           type: string
+ *         budget:
+ *           type: number
+ *           nullable: true
+ *         budget_source:
+ *           type: string
+ *           enum: [explicit, boq_baseline, none]
+ *           description: none for categories that only appear on POs
+ *         boq_baseline:
+ *           type: number
+ *         variance:
+ *           type: number
+ *           nullable: true
+ *         committed:
+ *           type: number
+ *         remaining:
+ *           type: number
+ *           nullable: true
+ *         utilization_percent:
+ *           type: number
+ *           nullable: true
+ *         flag:
+ *           type: string
+ *           nullable: true
+ *           enum: [warning, over_budget]
+ *     ProjectBudget:
+ *       type: object
+ *       properties:
+ *         project_id:
+ *           type: integer
+ *         budget:
+ *           type: number
+ *         budget_source:
+ *           type: string
+ *           enum: [budget_amount, estimate_value, categories]
+ *         boq_baseline:
+ *           type: number
+ *         variance:
+ *           type: number
+ *         committed:
+ *           type: number
+ *         unallocated_committed:
+ *           type: number
+ *           description: Committed spend of POs without a budget_category
+ *         remaining:
+ *           type: number
+ *         utilization_percent:
+ *           type: number
+ *           nullable: true
+ *         flag:
+ *           type: string
+ *           nullable: true
+ *           enum: [warning, over_budget]
+ *         thresholds:
+ *           type: object
+ *           properties:
+ *             warn_percent:
+ *               type: number
+ *             block_percent:
+ *               type: number
+ *               nullable: true
+ *         by_status:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *               committed:
+ *                 type: boolean
+ *         categories:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProjectBudgetLine'
  */
 
 /**
@@ -137,10 +348,14 @@ const uploadMiddleware = (req, res, next) => {
  *                 format: binary
  *               pr_po_tracking:
  *                 type: array
+ *                 deprecated: true
+ *                 description: Each entry is created as a record under /api/projects/{id}/pr-po-tracking
  *                 items:
  *                   type: string
  *               samples:
  *                 type: array
+ *                 deprecated: true
+ *                 description: Each entry is created as a record under /api/projects/{id}/samples
  *                 items:
  *                   type: string
  *               mas_file:
@@ -148,6 +363,8 @@ const uploadMiddleware = (req, res, next) => {
  *                 format: binary
  *               ml_management:
  *                 type: array
+ *                 deprecated: true
+ *                 description: Each entry is created as a record under /api/projects/{id}/material-list
  *                 items:
  *                   type: string
  *               user_id:
@@ -163,7 +380,7 @@ const uploadMiddleware = (req, res, next) => {
  *       500:
  *         description: Server error
  */
-router.post("/", uploadMiddleware, async (req, res) => {
+router.post("/", requirePermission("project", "create"), uploadMiddleware, async (req, res) => {
   try {
     const {
       project_name,
@@ -183,47 +400,59 @@ router.post("/", uploadMiddleware, async (req, res) => {
     const work_order_file = req.files && req.files["work_order_file"] ? req.files["work_order_file"][0].filename : null;
     const mas_file = req.files && req.files["mas_file"] ? req.files["mas_file"][0].filename : null;
 
-    // Parse JSON/Array fields if they come as strings
-    let prPoTracking = pr_po_tracking;
-    if (typeof pr_po_tracking === 'string') {
-      try { prPoTracking = JSON.parse(pr_po_tracking); } catch (e) { prPoTracking = [pr_po_tracking]; }
-    }
+    // The legacy array fields become child records of the new project
+    const legacyRecords = { pr_po_tracking, samples, ml_management };
 
-    let samplesArr = samples;
-    if (typeof samples === 'string') {
-      try { samplesArr = JSON.parse(samples); } catch (e) { samplesArr = [samples]; }
-    }
+    const client = await pool.connect();
+    let project;
+    try {
+      await client.query("BEGIN");
 
-    let mlManagementArr = ml_management;
-    if (typeof ml_management === 'string') {
-      try { mlManagementArr = JSON.parse(ml_management); } catch (e) { mlManagementArr = [ml_management]; }
+      const result = await client.query(
+        `INSERT INTO projects (
+          project_name, project_startdate, client_name, location, floor, estimate_value, wo_number,
+          work_order_file, pr_po_tracking, samples, mas_file, ml_management, user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, '{}', '{}', $9, '{}', $10) RETURNING *`,
+        [
+          project_name,
+          project_startdate,
+          client_name,
+          location,
+          floor,
+          estimate_value,
+          wo_number,
+          work_order_file,
+          mas_file,
+          user_id || null, // Allow null if not provided
+        ]
+      );
+      project = result.rows[0];
+
+      // The creator manages the new project, which also keeps it visible to non-admins
+      if (req.user.user_id) {
+        await addProjectMember(client, project.project_id, req.user.user_id, "project_manager", req.user.user_id);
+      }
+
+      for (const [type, value] of Object.entries(legacyRecords)) {
+        const spec = PROJECT_RECORD_TYPES[type];
+        for (const entry of legacyEntries(value)) {
+          const fields = legacyEntryFields(spec, entry);
+          if (fields) await insertRecord(client, spec, project.project_id, fields, req.user.user_id);
+        }
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Insert into the database
-    const result = await pool.query(
-      `INSERT INTO projects (
-        project_name, project_startdate, client_name, location, floor, estimate_value, wo_number,
-        work_order_file, pr_po_tracking, samples, mas_file, ml_management, user_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
-      [
-        project_name,
-        project_startdate,
-        client_name,
-        location,
-        floor,
-        estimate_value,
-        wo_number,
-        work_order_file,
-        prPoTracking || [],
-        samplesArr || [],
-        mas_file,
-        mlManagementArr || [],
-        user_id || null, // Allow null if not provided
-      ]
-    );
+    await recordActivity(pool, req, "project", null, project);
 
     // Send response back
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(project);
   } catch (error) {
     console.error("Create project error:", error);
     res.status(500).json({ error: "Failed to create project" });
@@ -234,28 +463,135 @@ router.post("/", uploadMiddleware, async (req, res) => {
  * @swagger
  * /api/projects:
  *   get:
- *     summary: Get all projects
+ *     summary: Get all projects visible to the current user
  *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, project_name, client_name, project_startdate, status]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more of planning, active, on_hold, completed, archived (comma-separated)
+ *       - in: query
+ *         name: client_name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: wo_number
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: start_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: start_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: List of projects
+ *         description: A page of projects
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Project'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid list parameter
  */
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("project", "read"), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM projects ORDER BY created_at DESC");
-    res.json(result.rows);
+    const { list, error } = parseListQuery(req.query, PROJECT_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const values = [];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    res.json(await fetchList(pool, PROJECT_LIST, list, [scopeCondition], values));
   } catch (error) {
     console.error("Get projects error:", error);
     res.status(500).json({ error: "Failed to fetch projects" });
   }
 });
 
+/**
+ * @swagger
+ * /api/projects/deleted:
+ *   get:
+ *     summary: List soft-deleted projects
+ *     description: Projects in the trash can be restored or purged. Accepts the same list parameters as GET /api/projects.
+ *     tags: [Projects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/q'
+ *     responses:
+ *       200:
+ *         description: A page of deleted projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListPage'
+ *       400:
+ *         description: Invalid list parameter
+ *       403:
+ *         description: Missing permission project:delete
+ */
+router.get("/deleted", requirePermission("project", "delete"), async (req, res) => {
+  try {
+    const { list, error } = parseListQuery(req.query, PROJECT_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Scoped id lists skip deleted projects, so restricted API keys match on their raw list
+    const values = [];
+    const conditions = ["deleted_at IS NOT NULL"];
+    const scope = await getProjectScope(req);
+    if (scope !== null) {
+      values.push(scope);
+      conditions.push(`project_id = ANY($${values.length}::int[])`);
+    }
+
+    res.json(await fetchList(pool, PROJECT_LIST, list, conditions, values));
+  } catch (error) {
+    console.error("Get deleted projects error:", error);
+    res.status(500).json({ error: "Failed to fetch deleted projects" });
+  }
+});
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -281,10 +617,19 @@ router.get("/", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("project", "read"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
   try {
     const { id } = req.params;
-    const result = await pool.query("SELECT * FROM projects WHERE project_id = $1", [id]);
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(
+      `SELECT * FROM projects WHERE project_id = $1 AND ${scopeCondition}`,
+      values
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "Project not found" });
@@ -336,10 +681,14 @@ router.get("/:id", async (req, res) => {
  *                 format: binary
  *               pr_po_tracking:
  *                 type: array
+ *                 deprecated: true
+ *                 description: No longer accepted; use /api/projects/{id}/pr-po-tracking
  *                 items:
  *                   type: string
  *               samples:
  *                 type: array
+ *                 deprecated: true
+ *                 description: No longer accepted; use /api/projects/{id}/samples
  *                 items:
  *                   type: string
  *               mas_file:
@@ -347,6 +696,8 @@ router.get("/:id", async (req, res) => {
  *                 format: binary
  *               ml_management:
  *                 type: array
+ *                 deprecated: true
+ *                 description: No longer accepted; use /api/projects/{id}/material-list
  *                 items:
  *                   type: string
  *     responses:
@@ -356,12 +707,21 @@ router.get("/:id", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: pr_po_tracking, samples or ml_management sent
  *       404:
  *         description: Project not found
+ *       409:
+ *         description: Project is archived and read-only
  *       500:
  *         description: Server error
  */
-router.put("/:id", uploadMiddleware, async (req, res) => {
+router.put("/:id", requirePermission("project", "update"), uploadMiddleware, requireWritableProject(projectFromParam("id")), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    discardUploads(req);
+    return res.status(404).json({ error: "Project not found" });
+  }
+
   try {
     const { id } = req.params;
     const {
@@ -380,21 +740,32 @@ router.put("/:id", uploadMiddleware, async (req, res) => {
     const work_order_file = req.files && req.files["work_order_file"] ? req.files["work_order_file"][0].filename : null;
     const mas_file = req.files && req.files["mas_file"] ? req.files["mas_file"][0].filename : null;
 
-    let prPoTracking = pr_po_tracking;
-    if (typeof pr_po_tracking === 'string') {
-      try { prPoTracking = JSON.parse(pr_po_tracking); } catch (e) { prPoTracking = [pr_po_tracking]; }
-    }
-
-    let samplesArr = samples;
-    if (typeof samples === 'string') {
-      try { samplesArr = JSON.parse(samples); } catch (e) { samplesArr = [samples]; }
+    // These arrays are now managed through their own sub-resources
+    const legacyFields = Object.entries({ pr_po_tracking, samples, ml_management })
+      .filter(([, value]) => legacyEntries(value).length > 0)
+      .map(([name]) => name);
+    if (legacyFields.length > 0) {
+      discardUploads(req);
+      return res.status(400).json({
+        error: `${legacyFields.join(", ")} can no longer be replaced here; use /api/projects/${id}/pr-po-tracking, /samples and /material-list`,
+      });
     }
 
-    let mlManagementArr = ml_management;
-    if (typeof ml_management === 'string') {
-      try { mlManagementArr = JSON.parse(ml_management); } catch (e) { mlManagementArr = [ml_management]; }
-    }
+    const values = [
+      project_name,
+      project_startdate,
+      client_name,
+      location,
+      floor,
+      estimate_value,
+      wo_number,
+      work_order_file,
+      mas_file,
+      id
+    ];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
 
+    const before = await findActivityRow(pool, "project", id);
     const result = await pool.query(
       `UPDATE projects SET
         project_name = $1,
@@ -404,35 +775,19 @@ router.put("/:id", uploadMiddleware, async (req, res) => {
         floor = $5,
         estimate_value = $6,
         wo_number = $7,
-        pr_po_tracking = $8,
-        samples = $9,
-        ml_management = $10,
-        work_order_file = COALESCE($11, work_order_file),
-        mas_file = COALESCE($12, mas_file),
+        work_order_file = COALESCE($8, work_order_file),
+        mas_file = COALESCE($9, mas_file),
         updated_at = CURRENT_TIMESTAMP
-      WHERE project_id = $13
+      WHERE project_id = $10 AND ${scopeCondition}
       RETURNING *`,
-      [
-        project_name,
-        project_startdate,
-        client_name,
-        location,
-        floor,
-        estimate_value,
-        wo_number,
-        prPoTracking,
-        samplesArr,
-        mlManagementArr,
-        work_order_file,
-        mas_file,
-        id
-      ]
+      values
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "Project not found" });
     }
 
+    await recordActivity(pool, req, "project", before, result.rows[0]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Update project error:", error);
@@ -444,7 +799,8 @@ router.put("/:id", uploadMiddleware, async (req, res) => {
  * @swagger
  * /api/projects/{id}:
  *   delete:
- *     summary: Delete a project
+ *     summary: Move a project to the trash
+ *     description: Soft delete. The project and its BOQs, MIRs, ITRs and POs are hidden but kept, and can be brought back with /restore. Use /purge to delete permanently.
  *     tags: [Projects]
  *     parameters:
  *       - in: path
@@ -461,15 +817,35 @@ router.put("/:id", uploadMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("project", "delete"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
   try {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM projects WHERE project_id = $1 RETURNING *", [id]);
+    const values = [id, req.user.user_id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const result = await pool.query(
+      `UPDATE projects SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE project_id = $1 AND ${scopeCondition}
+       RETURNING *`,
+      values
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "Project not found" });
     }
 
+    const project = result.rows[0];
+    await recordActivityEvent(pool, req, {
+      project_id: project.project_id,
+      entity_type: "project",
+      entity_id: project.project_id,
+      action: "delete",
+      summary: `Moved Project ${project.project_name} to the trash`,
+    });
+
     res.json({ message: "Project deleted successfully" });
   } catch (error) {
     console.error("Delete project error:", error);
@@ -479,42 +855,1218 @@ router.delete("/:id", async (req, res) => {
 
 /**
  * @swagger
- * /api/projects/user/{userId}:
- *   get:
- *     summary: Get all projects for a specific user
+ * /api/projects/{id}/restore:
+ *   post:
+ *     summary: Restore a project from the trash
  *     tags: [Projects]
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: id
  *         schema:
- *           type: string
- *           format: uuid
+ *           type: integer
  *         required: true
- *         description: User ID (UUID)
+ *         description: Project ID
  *     responses:
  *       200:
- *         description: List of projects for the user
+ *         description: Project restored
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Project'
+ *               $ref: '#/components/schemas/Project'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Deleted project not found
  *       500:
  *         description: Server error
  */
-router.get("/user/:userId", async (req, res) => {
+router.post("/:id/restore", requirePermission("project", "delete"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Deleted project not found" });
+  }
+
   try {
-    const { userId } = req.params;
+    const scope = await getProjectScope(req);
+    if (!inProjectScope(scope, req.params.id)) {
+      return res.status(403).json({ error: "access to this project is denied" });
+    }
+
     const result = await pool.query(
-      "SELECT * FROM projects WHERE user_id = $1 ORDER BY created_at DESC",
-      [userId]
+      `UPDATE projects SET deleted_at = NULL, deleted_by = NULL
+       WHERE project_id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [req.params.id]
     );
 
-    res.json(result.rows);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Deleted project not found" });
+    }
+
+    const project = result.rows[0];
+    await recordActivityEvent(pool, req, {
+      project_id: project.project_id,
+      entity_type: "project",
+      entity_id: project.project_id,
+      action: "update",
+      summary: `Restored Project ${project.project_name} from the trash`,
+    });
+
+    res.json(project);
   } catch (error) {
-    console.error("Get user projects error:", error);
-    res.status(500).json({ error: "Failed to fetch user projects" });
+    console.error("Restore project error:", error);
+    res.status(500).json({ error: "Failed to restore project" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a project (admin only)
+ *     description: Only projects already in the trash can be purged. Their BOQs, MIRs, ITRs and POs are deleted with them, and the files they and the project uploaded are removed from disk.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project purged
+ *       403:
+ *         description: Only admins can purge projects
+ *       404:
+ *         description: Deleted project not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/purge", requirePermission("project", "delete"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Deleted project not found" });
+  }
+
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ error: "only admins can purge projects" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const deleted = await client.query(
+      "SELECT project_id FROM projects WHERE project_id = $1 AND deleted_at IS NOT NULL FOR UPDATE",
+      [req.params.id]
+    );
+
+    if (deleted.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Deleted project not found" });
+    }
+
+    // The cascade removes the rows naming the uploads, so collect them first
+    const files = await projectUploadPaths(client, req.params.id);
+    await client.query("DELETE FROM projects WHERE project_id = $1", [req.params.id]);
+    await client.query("COMMIT");
+
+    // Only unlink once the rows are gone for good; a rolled-back purge keeps its files
+    files.forEach((file) =>
+      fs.unlink(file, (error) => {
+        if (error && error.code !== "ENOENT") console.error("Purge project file error:", error);
+      })
+    );
+
+    res.json({ message: "Project purged successfully" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Purge project error:", error);
+    res.status(500).json({ error: "Failed to purge project" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/status:
+ *   patch:
+ *     summary: Move a project to another lifecycle status
+ *     description: |
+ *       Allowed transitions: planning to active, on_hold or archived; active to on_hold or
+ *       completed; on_hold to active, completed or archived; completed to active or archived;
+ *       archived back to completed. Archived projects are read-only.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [planning, active, on_hold, completed, archived]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       500:
+ *         description: Server error
+ */
+router.patch("/:id/status", requirePermission("project", "update"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  if (!PROJECT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${PROJECT_STATUSES.join(", ")}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const current = await client.query(
+      `SELECT * FROM projects WHERE project_id = $1 AND ${scopeCondition} FOR UPDATE`,
+      values
+    );
+
+    if (current.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const from = current.rows[0].status;
+    if (!canTransition(from, status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: `cannot change status from ${from} to ${status}`,
+        allowed: STATUS_TRANSITIONS[from],
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE projects SET status = $2, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1
+       RETURNING *`,
+      [id, status]
+    );
+    await client.query(
+      `INSERT INTO project_status_history (project_id, from_status, to_status, reason, changed_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [id, from, status, reason ? String(reason).trim() : null, req.user.user_id]
+    );
+
+    await client.query("COMMIT");
+    await recordActivity(client, req, "project", current.rows[0], result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Change project status error:", error);
+    res.status(500).json({ error: "Failed to change project status" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/status-history:
+ *   get:
+ *     summary: Status changes of a project, newest first
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Status history
+ *       403:
+ *         description: Access to this project is denied
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/status-history", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT h.history_id, h.from_status, h.to_status, h.reason, h.changed_by, u.name AS changed_by_name, h.changed_at
+       FROM project_status_history h
+       LEFT JOIN auth_users u ON u.user_id = h.changed_by
+       WHERE h.project_id = $1
+       ORDER BY h.changed_at DESC, h.history_id DESC`,
+      [req.params.id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Get project status history error:", error);
+    res.status(500).json({ error: "Failed to fetch project status history" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/activity:
+ *   get:
+ *     summary: Activity timeline of a project, newest first
+ *     description: >
+ *       Create, update, delete and status events on the project and its BOQs, MIRs, ITRs, POs and files, with who
+ *       acted and what changed. Only events on record types the caller can read are returned, so a caller without
+ *       po read permission sees no PO events. Moving the project to the trash and restoring it are recorded as
+ *       project events. Milestones, PR/PO tracking, samples and material list entries are not recorded, nor are
+ *       files sent to /api/mir/upload, /api/itr/upload or /api/po/upload until a record refers to them.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *         description: One or more of project, boq, mir, itr, po, file (comma-separated)
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: One or more of create, update, delete, status (comma-separated)
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: A page of activity events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProjectActivity'
+ *       400:
+ *         description: Invalid filter or list parameter
+ *       403:
+ *         description: Access to this project is denied
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/activity", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    for (const [name, allowed] of [["entity_type", ACTIVITY_ENTITY_TYPES], ["action", ACTIVITY_ACTIONS]]) {
+      const invalid = String(req.query[name] || "").split(",").map((value) => value.trim()).filter((value) => value && !allowed.includes(value));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `${name} must be one or more of ${allowed.join(", ")}` });
+      }
+    }
+
+    const { list, error } = parseListQuery(req.query, ACTIVITY_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Events on records the caller cannot read (and files attached to them) are left out
+    const readable = ["project", ...["boq", "mir", "itr", "po"].filter((resource) => hasPermission(req, resource, "read"))];
+    const conditions = ["project_id = $1", "(entity_type = ANY($2) OR (entity_type = 'file' AND related_type = ANY($2)))"];
+    res.json(await fetchList(pool, ACTIVITY_LIST, list, conditions, [req.params.id, readable]));
+  } catch (error) {
+    console.error("Get project activity error:", error);
+    res.status(500).json({ error: "Failed to fetch project activity" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/user/{userId}:
+ *   get:
+ *     summary: Get all projects for a specific user
+ *     description: Accepts the same filters as GET /api/projects.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: User ID (UUID)
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, project_name, client_name, project_startdate, status]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *     responses:
+ *       200:
+ *         description: A page of projects for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ListPage'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid list parameter
+ *       500:
+ *         description: Server error
+ */
+router.get("/user/:userId", requirePermission("project", "read"), async (req, res) => {
+  try {
+    const { list, error } = parseListQuery(req.query, PROJECT_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { userId } = req.params;
+    const values = [userId];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    res.json(await fetchList(pool, PROJECT_LIST, list, ["user_id = $1", scopeCondition], values));
+  } catch (error) {
+    console.error("Get user projects error:", error);
+    res.status(500).json({ error: "Failed to fetch user projects" });
+  }
+});
+
+async function boqSummary(projectId) {
+  const totals = await pool.query(
+    `SELECT COUNT(*)::int AS item_count, SUM(quantity) AS quantity, SUM(amount) AS value
+     FROM boqs WHERE project_id = $1`,
+    [projectId]
+  );
+  const byCategory = await pool.query(
+    `SELECT COALESCE(category, 'Uncategorised') AS category, COUNT(*)::int AS item_count,
+       SUM(quantity) AS quantity, SUM(amount) AS value
+     FROM boqs WHERE project_id = $1
+     GROUP BY 1 ORDER BY 1`,
+    [projectId]
+  );
+  const byFloor = await pool.query(
+    `SELECT COALESCE(floor, 'Unassigned') AS floor, COUNT(*)::int AS item_count,
+       SUM(quantity) AS quantity, SUM(amount) AS value
+     FROM boqs WHERE project_id = $1
+     GROUP BY 1 ORDER BY 1`,
+    [projectId]
+  );
+
+  const group = (rows) =>
+    rows.map((row) => ({ ...row, quantity: toNumber(row.quantity), value: toNumber(row.value) }));
+
+  return {
+    item_count: totals.rows[0].item_count,
+    total_quantity: toNumber(totals.rows[0].quantity),
+    total_value: toNumber(totals.rows[0].value),
+    by_category: group(byCategory.rows),
+    by_floor: group(byFloor.rows),
+  };
+}
+
+async function poSummary(projectId) {
+  const result = await pool.query(
+    `SELECT COALESCE(status, 'created') AS status, COUNT(*)::int AS count, SUM(total_amount) AS spend
+     FROM pos WHERE project_id = $1
+     GROUP BY 1 ORDER BY 1`,
+    [projectId]
+  );
+
+  const byStatus = result.rows.map((row) => ({ ...row, spend: toNumber(row.spend) }));
+  return {
+    count: byStatus.reduce((sum, row) => sum + row.count, 0),
+    total_spend: byStatus.reduce((sum, row) => sum + row.spend, 0),
+    committed_spend: byStatus
+      .filter((row) => !UNCOMMITTED_PO_STATUSES.includes(row.status.toLowerCase()))
+      .reduce((sum, row) => sum + row.spend, 0),
+    by_status: byStatus,
+  };
+}
+
+async function mirSummary(projectId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+       COUNT(*) FILTER (WHERE mir_submited)::int AS submitted,
+       COUNT(*) FILTER (WHERE NOT COALESCE(mir_submited, FALSE))::int AS pending
+     FROM mirs WHERE project_id = $1`,
+    [projectId]
+  );
+  return result.rows[0];
+}
+
+async function itrSummary(projectId) {
+  const result = await pool.query(
+    `SELECT COALESCE(NULLIF(result_code, ''), 'none') AS result_code, COUNT(*)::int AS count
+     FROM itrs WHERE project_id = $1
+     GROUP BY 1 ORDER BY 1`,
+    [projectId]
+  );
+  return {
+    total: result.rows.reduce((sum, row) => sum + row.count, 0),
+    by_result_code: result.rows,
+  };
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/summary:
+ *   get:
+ *     summary: Dashboard aggregates for a project
+ *     description: |
+ *       BOQ value and quantity by category and floor, PO count and spend by status, MIR
+ *       counts by submitted or pending, ITR counts by result_code, and committed PO spend
+ *       against the project budget (budget_amount, or estimate_value when unset). Committed
+ *       spend excludes cancelled and rejected POs. See /budget for the per-category breakdown.
+ *       Sections the caller has no read permission for are null.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   type: object
+ *                 boq:
+ *                   type: object
+ *                   nullable: true
+ *                 po:
+ *                   type: object
+ *                   nullable: true
+ *                 mir:
+ *                   type: object
+ *                   nullable: true
+ *                 itr:
+ *                   type: object
+ *                   nullable: true
+ *                 budget:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     estimate_value:
+ *                       type: number
+ *                     budget_amount:
+ *                       type: number
+ *                       description: budget_amount, or estimate_value when unset
+ *                     committed_spend:
+ *                       type: number
+ *                     remaining:
+ *                       type: number
+ *                     utilization_percent:
+ *                       type: number
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/summary", requirePermission("project", "read"), async (req, res) => {
+  if (!isSerialId(req.params.id)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const { id } = req.params;
+    const values = [id];
+    const scopeCondition = projectScopeCondition(await getProjectScope(req), "project_id", values);
+    const projectResult = await pool.query(
+      `SELECT project_id, project_name, client_name, location, estimate_value, budget_amount
+       FROM projects WHERE project_id = $1 AND ${scopeCondition}`,
+      values
+    );
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const project = projectResult.rows[0];
+    const readable = (resource) => hasPermission(req, resource, "read");
+    const boq = readable("boq") ? await boqSummary(project.project_id) : null;
+    const po = readable("po") ? await poSummary(project.project_id) : null;
+    const mir = readable("mir") ? await mirSummary(project.project_id) : null;
+    const itr = readable("itr") ? await itrSummary(project.project_id) : null;
+
+    let budget = null;
+    if (po) {
+      const total = totalBudget(project);
+      budget = {
+        estimate_value: parseAmount(project.estimate_value),
+        budget_amount: total,
+        committed_spend: po.committed_spend,
+        remaining: total === null ? null : total - po.committed_spend,
+        utilization_percent:
+          total ? Math.round((po.committed_spend / total) * 10000) / 100 : null,
+      };
+    }
+
+    res.json({ project, boq, po, mir, itr, budget });
+  } catch (error) {
+    console.error("Get project summary error:", error);
+    res.status(500).json({ error: "Failed to fetch project summary" });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectMember:
+ *       type: object
+ *       properties:
+ *         project_id:
+ *           type: integer
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: The user's global role
+ *         project_role:
+ *           type: string
+ *           enum: [project_manager, site_engineer, po_approver, member]
+ *         added_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget:
+ *   get:
+ *     summary: Budget, committed spend and variance for a project
+ *     description: |
+ *       The budget is broken down by BOQ category. A category without an explicit budget
+ *       uses its BOQ baseline (the sum of its BOQ amounts). Committed spend is the PO
+ *       total_amount of every PO that is not cancelled or rejected, allocated by the PO's
+ *       budget_category; POs without one count as unallocated. Variance is budget minus
+ *       BOQ baseline. flag is warning once committed spend reaches budget_warn_percent of
+ *       the budget and over_budget once it exceeds the budget.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Budget report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectBudget'
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/budget", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const report = await budgetReport(pool, req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error("Get project budget error:", error);
+    res.status(500).json({ error: "Failed to fetch project budget" });
+  }
+});
+
+function parseBudgetNumber(value, name, { allowNull = true, positive = false } = {}) {
+  if (value === null || value === "") {
+    return allowNull ? { value: null } : { error: `${name} is required` };
+  }
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0 || (positive && number === 0)) {
+    return { error: `${name} must be a ${positive ? "positive" : "non-negative"} number` };
+  }
+  return { value: number };
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget:
+ *   put:
+ *     summary: Set the project budget, per-category budgets and thresholds
+ *     description: |
+ *       Only the fields sent are changed. Each entry in categories sets that category's
+ *       budget; a null budget_amount removes the explicit budget so the category falls
+ *       back to its BOQ baseline. Categories match BOQ categories case-insensitively.
+ *       New POs that take committed spend past budget_block_percent of their category
+ *       budget (or of the project budget when they have no budget_category) are rejected;
+ *       a null budget_block_percent never blocks.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               budget_amount:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Total budget; null falls back to estimate_value
+ *               budget_warn_percent:
+ *                 type: number
+ *                 example: 90
+ *               budget_block_percent:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 110
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - category
+ *                   properties:
+ *                     category:
+ *                       type: string
+ *                     budget_amount:
+ *                       type: number
+ *                       nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated budget report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectBudget'
+ *       400:
+ *         description: Invalid amount or threshold
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Project is archived and read-only
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/budget", requirePermission("project", "update"), requireProjectAccess("id"), requireWritableProject(projectFromParam("id")), async (req, res) => {
+  const { id } = req.params;
+  const { budget_amount, budget_warn_percent, budget_block_percent, categories } = req.body;
+
+  const updates = [];
+  const values = [id];
+  const fields = [
+    ["budget_amount", budget_amount, {}],
+    ["budget_warn_percent", budget_warn_percent, { allowNull: false, positive: true }],
+    ["budget_block_percent", budget_block_percent, { positive: true }],
+  ];
+  for (const [name, raw, options] of fields) {
+    if (raw === undefined) continue;
+    const { value, error } = parseBudgetNumber(raw, name, options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    values.push(value);
+    updates.push(`${name} = $${values.length}`);
+  }
+
+  if (categories !== undefined && !Array.isArray(categories)) {
+    return res.status(400).json({ error: "categories must be an array" });
+  }
+  const lines = new Map();
+  for (const entry of categories || []) {
+    const category = entry && entry.category !== undefined ? String(entry.category).trim() : "";
+    if (!category) {
+      return res.status(400).json({ error: "every category entry needs a category" });
+    }
+    const { value, error } = parseBudgetNumber(
+      entry.budget_amount === undefined ? null : entry.budget_amount,
+      `budget_amount for ${category}`
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    lines.set(category.toLowerCase(), { category, amount: value });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const project = await client.query(
+      `UPDATE projects SET ${[...updates, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+       WHERE project_id = $1 RETURNING project_id`,
+      values
+    );
+    if (project.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    for (const { category, amount } of lines.values()) {
+      await client.query(
+        "DELETE FROM project_budget_categories WHERE project_id = $1 AND LOWER(category) = LOWER($2)",
+        [id, category]
+      );
+      if (amount !== null) {
+        await client.query(
+          `INSERT INTO project_budget_categories (project_id, category, budget_amount, updated_by)
+           VALUES ($1, $2, $3, $4)`,
+          [id, category, amount, req.user.user_id]
+        );
+      }
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Update project budget error:", error);
+    return res.status(500).json({ error: "Failed to update project budget" });
+  } finally {
+    client.release();
+  }
+
+  try {
+    res.json(await budgetReport(pool, id));
+  } catch (error) {
+    console.error("Get project budget error:", error);
+    res.status(500).json({ error: "Failed to fetch project budget" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   get:
+ *     summary: List the members of a project
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProjectMember'
+ *       403:
+ *         description: Access to this project is denied
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/members", requirePermission("project", "read"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT m.project_id, m.user_id, u.name, u.email, u.role, m.project_role, m.added_by, m.created_at
+       FROM project_members m
+       JOIN auth_users u ON u.user_id = m.user_id
+       WHERE m.project_id = $1
+       ORDER BY u.name ASC`,
+      [req.params.id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Get project members error:", error);
+    res.status(500).json({ error: "Failed to fetch project members" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project or change their project role
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               project_role:
+ *                 type: string
+ *                 enum: [project_manager, site_engineer, po_approver, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Membership saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectMember'
+ *       400:
+ *         description: Missing user_id or invalid project_role
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: Project or active user not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/members", requirePermission("project", "update"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user_id, project_role } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({ error: "user_id is required" });
+    }
+    if (project_role && !PROJECT_ROLES.includes(project_role)) {
+      return res.status(400).json({ error: `project_role must be one of ${PROJECT_ROLES.join(", ")}` });
+    }
+
+    const project = await pool.query("SELECT project_id FROM projects WHERE project_id = $1", [id]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const user = await pool.query(
+      "SELECT name, email, role FROM auth_users WHERE user_id = $1 AND is_active",
+      [user_id]
+    );
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const member = await addProjectMember(pool, id, user_id, project_role, req.user.user_id);
+
+    res.status(201).json({ ...member, ...user.rows[0] });
+  } catch (error) {
+    console.error("Add project member error:", error);
+    res.status(500).json({ error: "Failed to add project member" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: User ID (UUID)
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Access to this project is denied
+ *       404:
+ *         description: User is not a member of this project
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/members/:userId", requirePermission("project", "update"), requireProjectAccess("id"), async (req, res) => {
+  try {
+    const removed = await removeProjectMember(pool, req.params.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: "User is not a member of this project" });
+    }
+
+    res.json({ message: "Member removed successfully" });
+  } catch (error) {
+    console.error("Remove project member error:", error);
+    res.status(500).json({ error: "Failed to remove project member" });
+  }
+});
+
+/**
+ * Distinct dynamic_field layouts of the project's MIR templates and MIRs, with
+ * the values blanked. A project that was itself cloned passes its templates on.
+ */
+async function mirTemplates(db, projectId) {
+  const result = await db.query(
+    `SELECT dynamic_field FROM (
+       SELECT dynamic_field, 0 AS source, template_id AS id FROM mir_templates WHERE project_id = $1
+       UNION ALL
+       SELECT dynamic_field, 1 AS source, mir_id AS id FROM mirs WHERE project_id = $1
+     ) layouts
+     ORDER BY source, id`,
+    [projectId]
+  );
+
+  const templates = new Map();
+  result.rows.forEach(({ dynamic_field: fields }) => {
+    if (!Array.isArray(fields) || fields.length === 0) return;
+    const template = fields.map((field) => ({ key: field && field.key !== undefined ? field.key : "", value: "" }));
+    const signature = JSON.stringify(template.map((field) => field.key));
+    if (!templates.has(signature)) templates.set(signature, template);
+  });
+  return [...templates.values()];
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/clone:
+ *   post:
+ *     summary: Create a new project from an existing one
+ *     description: |
+ *       Copies the project's metadata, BOQ lines, MIR dynamic_field layouts and member
+ *       assignments into a new project in one transaction. Uploaded files, POs, ITRs and
+ *       MIRs are not copied; each distinct MIR layout becomes an MIR template of the copy,
+ *       listed by GET /api/mir/project/{projectId}/templates. The caller becomes project
+ *       manager of the copy.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the project to copy
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project_name
+ *             properties:
+ *               project_name:
+ *                 type: string
+ *               project_startdate:
+ *                 type: string
+ *                 format: date
+ *               wo_number:
+ *                 type: string
+ *               reset_quantities:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Copy BOQ lines with quantity and amount set to 0
+ *               include_members:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Project copied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   $ref: '#/components/schemas/Project'
+ *                 copied:
+ *                   type: object
+ *                   properties:
+ *                     boq_items:
+ *                       type: integer
+ *                     mir_templates:
+ *                       type: integer
+ *                     members:
+ *                       type: integer
+ *       400:
+ *         description: project_name is missing
+ *       403:
+ *         description: Access to the source project is denied
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/clone", requirePermission("project", "create"), requireProjectAccess("id"), async (req, res) => {
+  const { id } = req.params;
+  const { project_name, project_startdate, wo_number, reset_quantities, include_members } = req.body;
+
+  if (!project_name || !String(project_name).trim()) {
+    return res.status(400).json({ error: "project_name is required" });
+  }
+
+  const resetQuantities = reset_quantities === true || reset_quantities === "true";
+  const includeMembers = include_members === undefined || include_members === true || include_members === "true";
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const source = await client.query(
+      "SELECT * FROM projects WHERE project_id = $1 AND deleted_at IS NULL",
+      [id]
+    );
+    if (source.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const original = source.rows[0];
+
+    const created = await client.query(
+      `INSERT INTO projects (
+        project_name, project_startdate, client_name, location, floor, estimate_value, wo_number,
+        pr_po_tracking, samples, ml_management, user_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, '{}', '{}', '{}', $8) RETURNING *`,
+      [
+        String(project_name).trim(),
+        project_startdate || null,
+        original.client_name,
+        original.location,
+        original.floor,
+        original.estimate_value,
+        wo_number || null,
+        req.user.user_id || null,
+      ]
+    );
+    const project = created.rows[0];
+
+    // Files stay with the source: deleting a BOQ line removes its file from disk
+    const boqs = await client.query(
+      `INSERT INTO boqs (category, item_code, description, floor, unit, quantity, rate, amount, project_id)
+       SELECT category, item_code, description, floor, unit,
+         CASE WHEN $3 THEN 0 ELSE quantity END, rate, CASE WHEN $3 THEN 0 ELSE amount END, $2
+       FROM boqs WHERE project_id = $1
+       ORDER BY boq_id`,
+      [id, project.project_id, resetQuantities]
+    );
+
+    const templates = await mirTemplates(client, id);
+    for (const template of templates) {
+      await client.query(
+        "INSERT INTO mir_templates (project_id, dynamic_field) VALUES ($1, $2)",
+        [project.project_id, JSON.stringify(template)]
+      );
+    }
+
+    let members = 0;
+    if (includeMembers) {
+      const sourceMembers = await client.query(
+        `SELECT m.user_id, m.project_role FROM project_members m
+         JOIN auth_users u ON u.user_id = m.user_id
+         WHERE m.project_id = $1 AND u.is_active
+         ORDER BY m.created_at`,
+        [id]
+      );
+      for (const member of sourceMembers.rows) {
+        await addProjectMember(client, project.project_id, member.user_id, member.project_role, req.user.user_id);
+      }
+      members = sourceMembers.rows.length;
+    }
+
+    if (req.user.user_id) {
+      await addProjectMember(client, project.project_id, req.user.user_id, "project_manager", req.user.user_id);
+    }
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      project,
+      copied: { boq_items: boqs.rowCount, mir_templates: templates.length, members },
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Clone project error:", error);
+    res.status(500).json({ error: "Failed to clone project" });
+  } finally {
+    client.release();
   }
 });
 
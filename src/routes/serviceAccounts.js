@@ -0,0 +1,477 @@
+const express = require("express");
+const { pool } = require("../db");
+const { requirePermission } = require("../middleware/permissions");
+const { normalizeProjectList } = require("../utils/users");
+const { findUnknownProjects } = require("../utils/projectMembers");
+const { API_KEY_SCOPES, generateApiKey, normalizeScopes } = require("../utils/apiKeys");
+const { isUuid } = require("../utils/ids");
+
+const router = express.Router();
+
+// Derived rather than stored so expiry needs no background job
+const KEY_STATUS_SQL = `CASE
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+    ELSE 'active'
+  END`;
+
+const KEY_COLUMNS = `key_id, service_account_id, name, key_prefix, scopes, project_list,
+  expires_at, last_used_at, last_used_ip, created_by, created_at, revoked_at, ${KEY_STATUS_SQL} AS status`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ServiceAccount:
+ *       type: object
+ *       properties:
+ *         service_account_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         disabled_at:
+ *           type: string
+ *           format: date-time
+ *         active_keys:
+ *           type: integer
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         key_id:
+ *           type: string
+ *           format: uuid
+ *         service_account_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key, to recognise it in listings
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["boq:read", "po:create"]
+ *         project_list:
+ *           type: array
+ *           nullable: true
+ *           description: Projects the key may access; null means all projects
+ *           items:
+ *             type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_ip:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/service-accounts/scopes:
+ *   get:
+ *     summary: List the scopes an API key can be granted
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Scope names in resource:action form
+ *       403:
+ *         description: Missing permission user:read
+ */
+router.get("/scopes", requirePermission("user", "read"), (req, res) => {
+  return res.json({ scopes: API_KEY_SCOPES });
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts:
+ *   get:
+ *     summary: List service accounts
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Service accounts with their number of active keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ServiceAccount'
+ *       403:
+ *         description: Missing permission user:read
+ *       500:
+ *         description: Server error
+ */
+router.get("/", requirePermission("user", "read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*,
+         (SELECT COUNT(*)::int FROM api_keys k
+          WHERE k.service_account_id = s.service_account_id AND ${KEY_STATUS_SQL} = 'active') AS active_keys
+       FROM service_accounts s
+       ORDER BY s.created_at DESC`
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    console.error("List service accounts error:", error);
+    return res.status(500).json({ error: "failed to fetch service accounts" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts:
+ *   post:
+ *     summary: Create a service account for an integration
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: erp-sync
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Service account created
+ *       400:
+ *         description: Missing name
+ *       403:
+ *         description: Missing permission user:create
+ *       409:
+ *         description: Name already in use
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requirePermission("user", "create"), async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : "";
+    const description = req.body.description ? String(req.body.description).trim() : null;
+
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO service_accounts (name, description, created_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name, description, req.user.user_id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: "a service account with this name already exists" });
+    }
+
+    return res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Create service account error:", error);
+    return res.status(500).json({ error: "failed to create service account" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts/{id}:
+ *   delete:
+ *     summary: Disable a service account
+ *     description: All of its keys stop working immediately. The account and key history are kept.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Service account disabled
+ *       403:
+ *         description: Missing permission user:delete
+ *       404:
+ *         description: Enabled service account not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id", requirePermission("user", "delete"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "service account not found" });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE service_accounts SET disabled_at = NOW()
+       WHERE service_account_id = $1 AND disabled_at IS NULL
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "service account not found" });
+    }
+
+    await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE service_account_id = $1 AND revoked_at IS NULL",
+      [req.params.id]
+    );
+
+    return res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Disable service account error:", error);
+    return res.status(500).json({ error: "failed to disable service account" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts/{id}/keys:
+ *   get:
+ *     summary: List a service account's API keys
+ *     description: Secrets are never returned; keys are identified by key_prefix.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Missing permission user:read
+ *       404:
+ *         description: Service account not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/keys", requirePermission("user", "read"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "service account not found" });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys WHERE service_account_id = $1 ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    console.error("List API keys error:", error);
+    return res.status(500).json({ error: "failed to fetch API keys" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts/{id}/keys:
+ *   post:
+ *     summary: Issue an API key
+ *     description: The key is returned once as api_key and only its hash is stored. Send it as `Authorization Bearer <key>` or in the X-API-Key header.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["boq:read", "po:read", "po:create"]
+ *               project_list:
+ *                 type: array
+ *                 description: Restrict the key to these projects; omit for all projects
+ *                 items:
+ *                   type: string
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a key that does not expire
+ *     responses:
+ *       201:
+ *         description: Key issued
+ *       400:
+ *         description: Invalid scopes or expiry, or an unknown or trashed project in project_list
+ *       403:
+ *         description: Missing permission user:create
+ *       404:
+ *         description: Enabled service account not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/keys", requirePermission("user", "create"), async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: "service account not found" });
+  }
+
+  try {
+    const { name, scopes, project, project_list, expires_at } = req.body;
+
+    const scopeCheck = normalizeScopes(scopes);
+    if (scopeCheck.error) {
+      return res.status(400).json({ error: scopeCheck.error });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({ error: "expires_at must be a future date" });
+      }
+    }
+
+    const account = await pool.query(
+      "SELECT service_account_id FROM service_accounts WHERE service_account_id = $1 AND disabled_at IS NULL",
+      [req.params.id]
+    );
+    if (account.rowCount === 0) {
+      return res.status(404).json({ error: "service account not found" });
+    }
+
+    const restricted = project != null || project_list != null;
+    const projects = restricted ? normalizeProjectList(project, project_list) : null;
+    if (restricted) {
+      const unknownProjects = await findUnknownProjects(pool, projects);
+      if (unknownProjects.length > 0) {
+        return res.status(400).json({ error: `unknown project ${unknownProjects.join(", ")}` });
+      }
+
+      // A key scoped to a project in the trash could not reach it
+      const trashed = await pool.query(
+        "SELECT project_id FROM projects WHERE project_id::text = ANY($1::text[]) AND deleted_at IS NOT NULL ORDER BY project_id",
+        [projects.map((value) => value.trim())]
+      );
+      if (trashed.rowCount > 0) {
+        return res.status(400).json({ error: `project ${trashed.rows.map((row) => row.project_id).join(", ")} is in the trash` });
+      }
+    }
+
+    const key = generateApiKey();
+    const result = await pool.query(
+      `INSERT INTO api_keys (service_account_id, name, key_prefix, key_hash, scopes, project_list, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${KEY_COLUMNS}`,
+      [
+        req.params.id,
+        name ? String(name).trim() : null,
+        key.keyPrefix,
+        key.keyHash,
+        scopeCheck.scopes,
+        projects,
+        expiresAt,
+        req.user.user_id,
+      ]
+    );
+
+    return res.status(201).json({ ...result.rows[0], api_key: key.secret });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    return res.status(500).json({ error: "failed to create API key" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       403:
+ *         description: Missing permission user:create
+ *       404:
+ *         description: Unrevoked key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/keys/:keyId", requirePermission("user", "create"), async (req, res) => {
+  if (!isUuid(req.params.id) || !isUuid(req.params.keyId)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE key_id = $1 AND service_account_id = $2 AND revoked_at IS NULL
+       RETURNING ${KEY_COLUMNS}`,
+      [req.params.keyId, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    return res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    return res.status(500).json({ error: "failed to revoke API key" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const QRCode = require("qrcode");
+const { pool } = require("../db");
+const { ALLOWED_ROLES, requirePermission } = require("../middleware/permissions");
+const { generateSecret, buildOtpAuthUrl, encryptSecret } = require("../utils/totp");
+const { regenerateRecoveryCodes, verifyUserTotp } = require("../utils/twoFactor");
+
+const router = express.Router();
+
+async function loadTwoFactorUser(userId) {
+  const result = await pool.query(
+    `SELECT u.user_id, u.email, u.role, u.password_hash, u.totp_enabled, u.totp_secret, u.totp_last_step,
+            COALESCE(p.require_two_factor, FALSE) AS two_factor_required
+     FROM auth_users u
+     LEFT JOIN auth_role_policies p ON p.role = u.role
+     WHERE u.user_id = $1`,
+    [userId]
+  );
+  return result.rowCount > 0 ? result.rows[0] : null;
+}
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Get the current user's two-factor status
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled, required for the user's role, and how many recovery codes remain
+ *       500:
+ *         description: Server error
+ */
+router.get("/status", async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user.user_id);
+    if (!user) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    const remaining = await pool.query(
+      "SELECT COUNT(*)::int AS count FROM auth_recovery_codes WHERE user_id = $1 AND used_at IS NULL",
+      [user.user_id]
+    );
+
+    return res.json({
+      enabled: user.totp_enabled,
+      required: user.two_factor_required,
+      recovery_codes_remaining: remaining.rows[0].count,
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    return res.status(500).json({ error: "failed to fetch two-factor status" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrolment
+ *     description: Generates a new secret and returns it with an otpauth URL and a QR code (PNG data URL) rendered on the server. Enrolment is finished by /api/auth/2fa/verify.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Secret and QR code for the authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauth_url:
+ *                   type: string
+ *                 qr_code:
+ *                   type: string
+ *                   description: data:image/png;base64 URL
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user.user_id);
+    if (!user) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: "two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await pool.query(
+      "UPDATE auth_users SET totp_secret = $1, totp_last_step = NULL WHERE user_id = $2",
+      [encryptSecret(secret), user.user_id]
+    );
+
+    const otpauthUrl = buildOtpAuthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return res.json({ secret, otpauth_url: otpauthUrl, qr_code: qrCode });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    return res.status(500).json({ error: "failed to start two-factor setup" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm TOTP enrolment with a code from the authenticator app
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; the one-time recovery codes are returned once
+ *       400:
+ *         description: Missing code, setup not started, or wrong code
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post("/verify", async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: "code is required" });
+    }
+
+    const user = await loadTwoFactorUser(req.user.user_id);
+    if (!user) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: "two-factor authentication is already enabled" });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: "start setup with /api/auth/2fa/setup first" });
+    }
+
+    if (!(await verifyUserTotp(user, code))) {
+      return res.status(400).json({ error: "invalid code" });
+    }
+
+    await pool.query("UPDATE auth_users SET totp_enabled = TRUE WHERE user_id = $1", [user.user_id]);
+    const recoveryCodes = await regenerateRecoveryCodes(user.user_id);
+
+    return res.json({
+      message: "two-factor authentication enabled",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Two-factor verify error:", error);
+    return res.status(500).json({ error: "failed to enable two-factor authentication" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the current user's recovery codes
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code
+ *     responses:
+ *       200:
+ *         description: New recovery codes; previous ones stop working
+ *       400:
+ *         description: Missing or invalid code, or 2FA not enabled
+ *       500:
+ *         description: Server error
+ */
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: "code is required" });
+    }
+
+    const user = await loadTwoFactorUser(req.user.user_id);
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: "two-factor authentication is not enabled" });
+    }
+
+    if (!(await verifyUserTotp(user, code))) {
+      return res.status(400).json({ error: "invalid code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.user_id);
+    return res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error("Recovery codes error:", error);
+    return res.status(500).json({ error: "failed to regenerate recovery codes" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication for the current user
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Missing fields, wrong password or code, or 2FA not enabled
+ *       403:
+ *         description: 2FA is required for the user's role
+ *       500:
+ *         description: Server error
+ */
+router.post("/disable", async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ error: "password and code are required" });
+    }
+
+    const user = await loadTwoFactorUser(req.user.user_id);
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ error: "two-factor authentication is not enabled" });
+    }
+
+    if (user.two_factor_required) {
+      return res.status(403).json({ error: "two-factor authentication is required for your role" });
+    }
+
+    const passwordMatches = await bcrypt.compare(String(password), user.password_hash);
+    if (!passwordMatches || !(await verifyUserTotp(user, code))) {
+      return res.status(400).json({ error: "invalid password or code" });
+    }
+
+    await pool.query(
+      `UPDATE auth_users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL
+       WHERE user_id = $1`,
+      [user.user_id]
+    );
+    await pool.query("DELETE FROM auth_recovery_codes WHERE user_id = $1", [user.user_id]);
+
+    return res.json({ message: "two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    return res.status(500).json({ error: "failed to disable two-factor authentication" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: List which roles must use two-factor authentication
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Roles that require 2FA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 required_roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Missing permission user:read
+ *       500:
+ *         description: Server error
+ */
+router.get("/policy", requirePermission("user", "read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT role FROM auth_role_policies WHERE require_two_factor ORDER BY role"
+    );
+    return res.json({ required_roles: result.rows.map((row) => row.role) });
+  } catch (error) {
+    console.error("Get two-factor policy error:", error);
+    return res.status(500).json({ error: "failed to fetch two-factor policy" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   put:
+ *     summary: Set which roles must use two-factor authentication
+ *     description: Users in these roles without 2FA can only reach the enrolment endpoints until they finish setup.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required_roles
+ *             properties:
+ *               required_roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, operational_manager, po_officer, labour]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Missing permission user:update
+ *       500:
+ *         description: Server error
+ */
+router.put("/policy", requirePermission("user", "update"), async (req, res) => {
+  try {
+    const { required_roles } = req.body;
+
+    if (!Array.isArray(required_roles)) {
+      return res.status(400).json({ error: "required_roles must be an array" });
+    }
+
+    const roles = [...new Set(required_roles.map((role) => String(role).trim()))];
+    const invalid = roles.filter((role) => !ALLOWED_ROLES.has(role));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `invalid role: ${invalid.join(", ")}` });
+    }
+
+    await pool.query(
+      `INSERT INTO auth_role_policies (role, require_two_factor, updated_at)
+       SELECT role, role = ANY($1::text[]), NOW()
+       FROM UNNEST($2::text[]) AS role
+       ON CONFLICT (role) DO UPDATE
+       SET require_two_factor = EXCLUDED.require_two_factor, updated_at = NOW()`,
+      [roles, [...ALLOWED_ROLES]]
+    );
+
+    return res.json({ required_roles: roles.sort() });
+  } catch (error) {
+    console.error("Update two-factor policy error:", error);
+    return res.status(500).json({ error: "failed to update two-factor policy" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/users/{id}:
+ *   delete:
+ *     summary: Reset another user's two-factor authentication
+ *     description: For users who lost their authenticator and recovery codes. They must enrol again if their role requires 2FA.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       403:
+ *         description: Missing permission user:update
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/users/:id", requirePermission("user", "update"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE auth_users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL
+       WHERE user_id = $1
+       RETURNING user_id`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+
+    await pool.query("DELETE FROM auth_recovery_codes WHERE user_id = $1", [id]);
+    return res.json({ message: "two-factor authentication reset" });
+  } catch (error) {
+    console.error("Reset two-factor error:", error);
+    return res.status(500).json({ error: "failed to reset two-factor authentication" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require("express");
+const multer = require("multer");
+const bcrypt = require("bcryptjs");
+const { pool } = require("../db");
+const { ALLOWED_ROLES, requirePermission } = require("../middleware/permissions");
+const { sendMail } = require("../utils/mailer");
+const { hashToken, randomToken } = require("../utils/tokens");
+const { normalizeEmail, normalizePhone, sanitizeUser } = require("../utils/users");
+const { isSpreadsheet, readSpreadsheet, pickColumn } = require("../utils/spreadsheet");
+const { syncProjectMembers } = require("../utils/projectMembers");
+
+const router = express.Router();
+
+// Imported users choose their own password through the reset link they are mailed
+const SET_PASSWORD_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+const MAX_IMPORT_ROWS = 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (!isSpreadsheet(file.originalname)) {
+      return cb(new Error("only .csv, .xlsx and .xls files are accepted"));
+    }
+    return cb(null, true);
+  },
+});
+
+// Wrapper middleware to handle Multer errors
+const uploadMiddleware = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({ error: "File size too large. Max limit is 5MB." });
+      }
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    } else if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+const COLUMNS = {
+  name: ["name", "username", "full_name"],
+  email: ["email", "email_id", "email_address"],
+  phone_number: ["phone", "phone_number", "mobile", "mobile_number"],
+  role: ["role"],
+  projects: ["project_codes", "projects", "project_list", "project", "project_code"],
+};
+
+function isTruthy(value) {
+  return value === true || ["true", "1", "yes"].includes(String(value).trim().toLowerCase());
+}
+
+function splitProjectCodes(value) {
+  return String(value || "")
+    .split(/[;,|]/)
+    .map((code) => code.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Maps every project code in the file to a project_id. A code matches a
+ * project id or, case-insensitively, a project name.
+ */
+async function resolveProjectCodes(codes) {
+  if (codes.length === 0) return new Map();
+
+  const result = await pool.query(
+    `SELECT project_id, project_name FROM projects
+     WHERE project_id::text = ANY($1::text[]) OR LOWER(project_name) = ANY($2::text[])`,
+    [codes, codes.map((code) => code.toLowerCase())]
+  );
+
+  const resolved = new Map();
+  codes.forEach((code) => {
+    const match = result.rows.find(
+      (project) =>
+        String(project.project_id) === code ||
+        (project.project_name || "").toLowerCase() === code.toLowerCase()
+    );
+    if (match) resolved.set(code, String(match.project_id));
+  });
+  return resolved;
+}
+
+/**
+ * Validates parsed rows and returns one entry per row with the normalized
+ * user and its errors. Duplicates are checked within the file and against
+ * existing accounts.
+ */
+async function validateRows(rows) {
+  const candidates = rows.map((row) => ({
+    row: row.__row,
+    name: pickColumn(row, COLUMNS.name),
+    email: normalizeEmail(pickColumn(row, COLUMNS.email)),
+    phone_number: normalizePhone(pickColumn(row, COLUMNS.phone_number)),
+    role: pickColumn(row, COLUMNS.role).toLowerCase().replace(/[\s-]+/g, "_"),
+    project_codes: splitProjectCodes(pickColumn(row, COLUMNS.projects)),
+    errors: [],
+  }));
+
+  const emails = candidates.map((c) => c.email).filter(Boolean);
+  const phones = candidates.map((c) => c.phone_number).filter(Boolean);
+  const existing = await pool.query(
+    "SELECT email, phone_number FROM auth_users WHERE email = ANY($1::text[]) OR phone_number = ANY($2::text[])",
+    [emails, phones]
+  );
+  const takenEmails = new Set(existing.rows.map((row) => row.email));
+  const takenPhones = new Set(existing.rows.map((row) => row.phone_number));
+
+  const projectIds = await resolveProjectCodes([...new Set(candidates.flatMap((c) => c.project_codes))]);
+
+  const seenEmails = new Map();
+  const seenPhones = new Map();
+
+  candidates.forEach((candidate) => {
+    const { errors } = candidate;
+
+    if (!candidate.name) errors.push("name is required");
+
+    if (!candidate.email) {
+      errors.push("email is required");
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(candidate.email)) {
+      errors.push("email is invalid");
+    } else if (takenEmails.has(candidate.email)) {
+      errors.push("email already exists");
+    } else if (seenEmails.has(candidate.email)) {
+      errors.push(`email duplicates row ${seenEmails.get(candidate.email)}`);
+    }
+
+    if (!candidate.phone_number) {
+      errors.push("phone is required");
+    } else if (takenPhones.has(candidate.phone_number)) {
+      errors.push("phone number already exists");
+    } else if (seenPhones.has(candidate.phone_number)) {
+      errors.push(`phone number duplicates row ${seenPhones.get(candidate.phone_number)}`);
+    }
+
+    if (!candidate.role) {
+      errors.push("role is required");
+    } else if (!ALLOWED_ROLES.has(candidate.role)) {
+      errors.push(`invalid role ${candidate.role}`);
+    }
+
+    const unknownCodes = candidate.project_codes.filter((code) => !projectIds.has(code));
+    if (unknownCodes.length > 0) {
+      errors.push(`unknown project ${unknownCodes.join(", ")}`);
+    }
+    candidate.project_list = [...new Set(candidate.project_codes.map((code) => projectIds.get(code)).filter(Boolean))];
+
+    if (candidate.email && !seenEmails.has(candidate.email)) seenEmails.set(candidate.email, candidate.row);
+    if (candidate.phone_number && !seenPhones.has(candidate.phone_number)) {
+      seenPhones.set(candidate.phone_number, candidate.row);
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * @swagger
+ * /api/auth/users/import:
+ *   post:
+ *     summary: Bulk-create users from a CSV or Excel file
+ *     description: |
+ *       The first row must be a header with the columns name, email, phone, role and
+ *       project_codes (several codes separated by ";" or ","). A project code is a
+ *       project id or project name. Every row is validated first; with dry_run only the
+ *       report is returned. Otherwise all valid rows are created in one transaction and
+ *       invalid rows are skipped. Each new user is emailed a link to set their password.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               send_emails:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Email each new user a link to set their password
+ *     responses:
+ *       200:
+ *         description: Dry-run report, or nothing to create
+ *       201:
+ *         description: Valid rows created; errors lists the skipped rows
+ *       400:
+ *         description: Missing, unreadable or oversized file
+ *       403:
+ *         description: Missing permission user:create
+ *       409:
+ *         description: An account was created concurrently; nothing was imported
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requirePermission("user", "create"), uploadMiddleware, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "file is required" });
+  }
+
+  let rows;
+  try {
+    ({ rows } = readSpreadsheet(req.file.buffer, req.file.originalname));
+  } catch (error) {
+    return res.status(400).json({ error: `could not read file: ${error.message}` });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({ error: "the file has no data rows" });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+  }
+
+  const dryRun = isTruthy(req.body.dry_run);
+  const sendEmails = req.body.send_emails === undefined || isTruthy(req.body.send_emails);
+
+  let candidates;
+  try {
+    candidates = await validateRows(rows);
+  } catch (error) {
+    console.error("Validate user import error:", error);
+    return res.status(500).json({ error: "failed to validate import" });
+  }
+
+  const valid = candidates.filter((candidate) => candidate.errors.length === 0);
+  const errors = candidates
+    .filter((candidate) => candidate.errors.length > 0)
+    .map(({ row, email, errors: rowErrors }) => ({ row, email, errors: rowErrors }));
+
+  const report = {
+    dry_run: dryRun,
+    total_rows: candidates.length,
+    valid_rows: valid.length,
+    invalid_rows: errors.length,
+    errors,
+  };
+
+  if (dryRun || valid.length === 0) {
+    return res.json({ ...report, created: [] });
+  }
+
+  // Nobody knows this password; imported users set theirs via the emailed link
+  const placeholderHash = await bcrypt.hash(randomToken(), 12);
+  const created = [];
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    for (const candidate of valid) {
+      const token = sendEmails ? randomToken() : null;
+      const insert = await client.query(
+        `INSERT INTO auth_users (name, email, phone_number, password_hash, role, project_list,
+           password_reset_token, password_reset_expires)
+         VALUES ($1, $2, $3, $4, $5, $6, $7,
+           CASE WHEN $7::text IS NULL THEN NULL ELSE NOW() + make_interval(hours => $8) END)
+         RETURNING user_id, name, email, phone_number, role, project_list`,
+        [
+          candidate.name,
+          candidate.email,
+          candidate.phone_number,
+          placeholderHash,
+          candidate.role,
+          candidate.project_list,
+          token ? hashToken(token) : null,
+          SET_PASSWORD_TTL_HOURS,
+        ]
+      );
+      created.push({ user: sanitizeUser(insert.rows[0]), token });
+    }
+
+    await syncProjectMembers(client, created.map(({ user }) => user.user_id));
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "an email or phone number was registered during the import; nothing was imported" });
+    }
+    console.error("User import error:", error);
+    return res.status(500).json({ error: "failed to import users" });
+  } finally {
+    client.release();
+  }
+
+  if (sendEmails) {
+    const baseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+    for (const { user, token } of created) {
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Your Madhuram account",
+          text:
+            `Hi ${user.name},\n\n` +
+            `An account has been created for you as ${user.role.replace(/_/g, " ")}. ` +
+            `Use the link below to set your password. It expires in ${SET_PASSWORD_TTL_HOURS} hours and can be used once.\n\n` +
+            `${baseUrl}/reset-password?token=${token}\n`,
+        });
+      } catch (error) {
+        console.error("User import mail error:", error);
+      }
+    }
+  }
+
+  return res.status(201).json({ ...report, created: created.map(({ user }) => user) });
+});
+
+module.exports = router;
@@ -20,14 +20,57 @@ const options = {
 			},
 		],
 		components: {
-			// securitySchemes: {
-			// 	bearerAuth: {
-			// 		type: "http",
-			// 		scheme: "bearer",
-			// 		bearerFormat: "JWT",
-			// 	},
-			// },
+			parameters: {
+				limit: {
+					in: "query",
+					name: "limit",
+					schema: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+					description: "Page size",
+				},
+				cursor: {
+					in: "query",
+					name: "cursor",
+					schema: { type: "string" },
+					description: "next_cursor from the previous page; keep the same sort and order",
+				},
+				order: {
+					in: "query",
+					name: "order",
+					schema: { type: "string", enum: ["asc", "desc"] },
+					description: "Defaults to desc for the default sort and asc otherwise. A sort prefixed with - also means desc.",
+				},
+				q: {
+					in: "query",
+					name: "q",
+					schema: { type: "string" },
+					description: "Free-text search",
+				},
+			},
+			schemas: {
+				ListPage: {
+					type: "object",
+					properties: {
+						data: { type: "array", items: { type: "object" } },
+						total: { type: "integer", description: "Rows matching the filters across all pages" },
+						limit: { type: "integer" },
+						next_cursor: { type: "string", nullable: true },
+					},
+				},
+			},
+			securitySchemes: {
+				bearerAuth: {
+					type: "http",
+					scheme: "bearer",
+					bearerFormat: "JWT",
+				},
+				apiKeyAuth: {
+					type: "apiKey",
+					in: "header",
+					name: "X-API-Key",
+				},
+			},
 		},
+		security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
 	},
 	apis: ["./src/routes/*.js"], // it will read swagger comments from route files
 };
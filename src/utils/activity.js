@@ -0,0 +1,202 @@
+// Project activity timeline. Routes call recordActivity after a successful
+// write; the events are read back by GET /api/projects/:id/activity.
+
+const ACTIVITY_ENTITIES = {
+  project: {
+    table: "projects",
+    idColumn: "project_id",
+    label: "Project",
+    titleFields: ["project_name"],
+    statusField: "status",
+    fileFields: ["work_order_file", "mas_file"],
+  },
+  boq: { table: "boqs", idColumn: "boq_id", label: "BOQ item", titleFields: ["item_code", "description"], fileFields: ["boq_file"] },
+  mir: { table: "mirs", idColumn: "mir_id", label: "MIR", titleFields: ["mir_refrence_no"] },
+  itr: { table: "itrs", idColumn: "itr_id", label: "ITR", titleFields: [], statusField: "result_code" },
+  po: { table: "pos", idColumn: "po_id", label: "PO", titleFields: ["order_no"], statusField: "status" },
+};
+
+const ACTIVITY_ENTITY_TYPES = [...Object.keys(ACTIVITY_ENTITIES), "file"];
+const ACTIVITY_ACTIONS = ["create", "update", "delete", "status"];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ["created_at", "updated_at", "status_changed_at", "over_budget"];
+
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Scalars are kept as text; JSON documents (PO items, MIR fields) only note the change
+function displayValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return undefined;
+  return String(value);
+}
+
+function describeValue(value) {
+  return value === null || value === undefined || value === "" ? "(none)" : String(value);
+}
+
+/**
+ * The fields that differ between two rows of the same record, as
+ * [{ field, from, to }]. from/to are left out for JSON documents.
+ */
+function changedFields(before, after) {
+  return Object.keys(after)
+    .filter((field) => !IGNORED_FIELDS.includes(field) && field in before)
+    .filter((field) => comparable(before[field]) !== comparable(after[field]))
+    .map((field) => {
+      const from = displayValue(before[field]);
+      const to = displayValue(after[field]);
+      return from === undefined || to === undefined ? { field } : { field, from, to };
+    });
+}
+
+function entityTitle(entityType, row) {
+  const entity = ACTIVITY_ENTITIES[entityType];
+  const field = entity.titleFields.find((name) => row[name] !== null && row[name] !== undefined && String(row[name]).trim() !== "");
+  return field ? String(row[field]).trim() : `#${row[entity.idColumn]}`;
+}
+
+/**
+ * Loads the current row of a record so an update can be compared with it.
+ */
+async function findActivityRow(db, entityType, id) {
+  const entity = ACTIVITY_ENTITIES[entityType];
+  const result = await db.query(`SELECT * FROM ${entity.table} WHERE ${entity.idColumn} = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+function activityActor(req) {
+  const user = (req && req.user) || {};
+  return {
+    user_id: user.user_id || null,
+    api_key_id: user.api_key_id || null,
+    actor_name: user.email || user.service_account_name || null,
+  };
+}
+
+/**
+ * Builds the events for one write: `before` is null for a create, `after` is
+ * null for a delete. An update yields a status event when the entity's status
+ * field changed, an update event for the remaining fields and file events for
+ * attachments that were added or replaced.
+ */
+function buildEvents(entityType, before, after) {
+  const entity = ACTIVITY_ENTITIES[entityType];
+  const row = after || before;
+  const name = `${entity.label} ${entityTitle(entityType, row)}`;
+  const base = { project_id: row.project_id, entity_type: entityType, entity_id: row[entity.idColumn] };
+  const events = [];
+  const fileEvent = (field, action, from, to) => {
+    const verb = { create: "Uploaded", update: "Replaced", delete: "Removed" }[action];
+    const file = (action === "delete" ? from : to).split("/").pop();
+    events.push({
+      ...base,
+      entity_type: "file",
+      related_type: entityType,
+      action,
+      summary: `${verb} ${field} ${file} ${action === "delete" ? "from" : "on"} ${name}`,
+      changes: [{ field, from, to }],
+    });
+  };
+
+  if (!before) {
+    events.push({ ...base, action: "create", summary: `Created ${name}`, changes: [] });
+    (entity.fileFields || []).forEach((field) => {
+      if (after[field]) fileEvent(field, "create", null, after[field]);
+    });
+    return events;
+  }
+
+  if (!after) {
+    events.push({ ...base, action: "delete", summary: `Deleted ${name}`, changes: [] });
+    (entity.fileFields || []).forEach((field) => {
+      if (before[field]) fileEvent(field, "delete", before[field], null);
+    });
+    return events;
+  }
+
+  const changes = changedFields(before, after);
+  const status = changes.find((change) => change.field === entity.statusField);
+  const files = changes.filter((change) => (entity.fileFields || []).includes(change.field));
+  const rest = changes.filter((change) => change !== status && !files.includes(change));
+
+  if (status) {
+    events.push({
+      ...base,
+      action: "status",
+      summary: `${name} ${status.field} changed from ${describeValue(status.from)} to ${describeValue(status.to)}`,
+      changes: [status],
+    });
+  }
+  if (rest.length > 0) {
+    events.push({ ...base, action: "update", summary: `Updated ${name}: ${rest.map((change) => change.field).join(", ")}`, changes: rest });
+  }
+  files.forEach((change) => {
+    if (change.to) fileEvent(change.field, change.from ? "update" : "create", change.from, change.to);
+    else fileEvent(change.field, "delete", change.from, null);
+  });
+  return events;
+}
+
+async function insertEvent(db, actor, event) {
+  await db.query(
+    `INSERT INTO project_activity (
+      project_id, entity_type, entity_id, related_type, action, summary, changes, user_id, api_key_id, actor_name
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      event.project_id,
+      event.entity_type,
+      event.entity_id === undefined ? null : event.entity_id,
+      event.related_type || null,
+      event.action,
+      event.summary,
+      JSON.stringify(event.changes || []),
+      actor.user_id,
+      actor.api_key_id,
+      actor.actor_name,
+    ]
+  );
+}
+
+/**
+ * Records the activity for a write to a project record. Failures are logged
+ * and swallowed: the write itself has already succeeded.
+ */
+async function recordActivity(db, req, entityType, before, after) {
+  try {
+    const events = buildEvents(entityType, before, after).filter((event) => event.project_id);
+    const actor = activityActor(req);
+
+    for (const event of events) {
+      await insertEvent(db, actor, event);
+    }
+  } catch (error) {
+    console.error("Error recording activity:", error);
+  }
+}
+
+/**
+ * Records one hand-written event, for bulk writes that would otherwise flood
+ * the timeline with an event per row.
+ */
+async function recordActivityEvent(db, req, event) {
+  try {
+    await insertEvent(db, activityActor(req), event);
+  } catch (error) {
+    console.error("Error recording activity:", error);
+  }
+}
+
+module.exports = {
+  ACTIVITY_ENTITY_TYPES,
+  ACTIVITY_ACTIONS,
+  findActivityRow,
+  recordActivity,
+  recordActivityEvent,
+};
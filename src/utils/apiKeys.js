@@ -0,0 +1,87 @@
+const { pool } = require("../db");
+const { PERMISSION_MATRIX, RESOURCES } = require("../middleware/permissions");
+const { hashToken, randomToken } = require("./tokens");
+
+// Lets authenticate tell an API key from a JWT without trying to verify it
+const API_KEY_PREFIX = "mk_";
+
+// Anything an admin can do except managing users, which keys never do
+const API_KEY_SCOPES = RESOURCES.filter((resource) => resource !== "user").flatMap((resource) =>
+  (PERMISSION_MATRIX.admin[resource] || []).map((action) => `${resource}:${action}`)
+);
+
+// Only bump last_used_at once a minute so busy integrations don't write on every call
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+function isApiKey(token) {
+  return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Returns a new key: the secret to show once, its SHA-256 hash for storage
+ * and a short prefix that identifies the key in listings.
+ */
+function generateApiKey() {
+  const secret = `${API_KEY_PREFIX}${randomToken(24)}`;
+  return {
+    secret,
+    keyHash: hashToken(secret),
+    keyPrefix: secret.slice(0, API_KEY_PREFIX.length + 8),
+  };
+}
+
+/**
+ * Validates requested scopes. Returns { scopes } with duplicates removed or
+ * { error } naming the first unknown scope.
+ */
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: "scopes must be a non-empty array" };
+  }
+
+  const normalized = [...new Set(scopes.map((scope) => String(scope).trim()))];
+  const unknown = normalized.find((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown) {
+    return { error: `unknown scope ${unknown}` };
+  }
+
+  return { scopes: normalized };
+}
+
+/**
+ * Looks up a usable key (not revoked, not expired, service account enabled)
+ * and records its use. Returns null when the key should be rejected.
+ */
+async function findActiveApiKey(secret, ipAddress) {
+  const result = await pool.query(
+    `SELECT k.key_id, k.service_account_id, k.scopes, k.project_list, s.name AS service_account_name
+     FROM api_keys k
+     JOIN service_accounts s ON s.service_account_id = k.service_account_id
+     WHERE k.key_hash = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND s.disabled_at IS NULL`,
+    [hashToken(secret)]
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const key = result.rows[0];
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE key_id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))`,
+    [key.key_id, ipAddress || null, LAST_USED_RESOLUTION_SECONDS]
+  );
+
+  return key;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  isApiKey,
+  generateApiKey,
+  normalizeScopes,
+  findActiveApiKey,
+};
@@ -0,0 +1,154 @@
+// BOQ export for client submissions: a project header block, then the items
+// grouped by category and floor with subtotals and a grand total. The XLSX and
+// CSV variants share one layout.
+
+const XLSX = require("xlsx");
+const { formatValue } = require("./recordPdf");
+
+const COLUMNS = ["Item Code", "Description", "Unit", "Quantity", "Rate", "Amount"];
+const QUANTITY = 3;
+const RATE = 4;
+const AMOUNT = 5;
+
+const NUMBER_FORMATS = { [QUANTITY]: "#,##0.00", [RATE]: "#,##0.00", [AMOUNT]: "#,##0.00" };
+const COLUMN_WIDTHS = [14, 60, 10, 14, 14, 18];
+
+const NO_CATEGORY = "Uncategorised";
+const NO_FLOOR = "Unspecified";
+
+function toNumber(value) {
+  return value === null || value === undefined || value === "" ? null : Number(value);
+}
+
+function groupLabel(value, fallback) {
+  return value === null || value === undefined || String(value).trim() === "" ? fallback : String(value).trim();
+}
+
+function sumAmounts(boqs) {
+  return boqs.reduce((sum, boq) => sum + (toNumber(boq.amount) || 0), 0);
+}
+
+/**
+ * Groups BOQ items as [{ category, amount, floors: [{ floor, amount, items }] }].
+ * Categories, floors and items keep the order they were entered in (boq_id),
+ * which is the order of the client's original BOQ when it was imported.
+ */
+function groupBoqs(boqs) {
+  const categories = new Map();
+  [...boqs]
+    .sort((a, b) => a.boq_id - b.boq_id)
+    .forEach((boq) => {
+      const category = groupLabel(boq.category, NO_CATEGORY);
+      const floor = groupLabel(boq.floor, NO_FLOOR);
+      if (!categories.has(category)) categories.set(category, new Map());
+      const floors = categories.get(category);
+      if (!floors.has(floor)) floors.set(floor, []);
+      floors.get(floor).push(boq);
+    });
+
+  return [...categories].map(([category, floors]) => {
+    const groups = [...floors].map(([floor, items]) => ({ floor, amount: sumAmounts(items), items }));
+    return { category, amount: groups.reduce((sum, group) => sum + group.amount, 0), floors: groups };
+  });
+}
+
+/**
+ * The export as rows of cells. `numberRows` lists the indexes of rows whose
+ * quantity, rate and amount cells hold numbers, so the workbook can format
+ * them; `headerRow` is the index of the column header row.
+ */
+function boqExportRows(project, boqs, generatedAt = new Date()) {
+  const rows = [
+    ["Bill of Quantities"],
+    ["Project", project.project_name],
+    ["Client", formatValue(project.client_name)],
+    ["Location", formatValue(project.location)],
+    ["Work order", formatValue(project.wo_number)],
+    ["Start date", formatValue(project.project_startdate)],
+    ["Estimate value", formatValue(project.estimate_value)],
+    ["Generated", formatValue(generatedAt)],
+    [],
+  ];
+  const headerRow = rows.length;
+  const numberRows = [];
+  const pushNumbers = (row) => {
+    numberRows.push(rows.length);
+    rows.push(row);
+  };
+
+  rows.push(COLUMNS);
+  groupBoqs(boqs).forEach((category) => {
+    rows.push([category.category]);
+    category.floors.forEach((group) => {
+      rows.push(["", `Floor: ${group.floor}`]);
+      group.items.forEach((boq) => {
+        pushNumbers([boq.item_code || "", boq.description || "", boq.unit || "", toNumber(boq.quantity), toNumber(boq.rate), toNumber(boq.amount)]);
+      });
+      pushNumbers(["", `Subtotal ${category.category} - ${group.floor}`, "", null, null, group.amount]);
+    });
+    pushNumbers(["", `Subtotal ${category.category}`, "", null, null, category.amount]);
+    rows.push([]);
+  });
+  pushNumbers(["", "Grand total", "", null, null, sumAmounts(boqs)]);
+
+  return { rows, headerRow, numberRows };
+}
+
+/**
+ * XLSX buffer of the project's BOQ with number formats on quantity, rate and
+ * amount.
+ */
+function boqWorkbook(project, boqs, generatedAt) {
+  const { rows, headerRow, numberRows } = boqExportRows(project, boqs, generatedAt);
+  const sheet = XLSX.utils.aoa_to_sheet(rows.map((row) => row.map((cell) => (cell === null ? undefined : cell))));
+
+  numberRows.forEach((rowIndex) => {
+    Object.entries(NUMBER_FORMATS).forEach(([column, format]) => {
+      const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: Number(column) })];
+      if (cell && cell.t === "n") cell.z = format;
+    });
+  });
+  sheet["!cols"] = COLUMN_WIDTHS.map((wch) => ({ wch }));
+  sheet["!merges"] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: COLUMNS.length - 1 } }];
+  sheet["!autofilter"] = { ref: XLSX.utils.encode_range({ r: headerRow, c: 0 }, { r: headerRow, c: COLUMNS.length - 1 }) };
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "BOQ");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Prefixes formula-like text with an apostrophe so it opens as text. Numbers
+// and the "-" empty-value placeholder are left alone.
+function escapeFormula(text) {
+  if (text === "-" || PLAIN_NUMBER.test(text)) return text;
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = escapeFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The same layout as the workbook as CSV text, with plain unformatted numbers.
+ */
+function boqCsv(project, boqs, generatedAt) {
+  const { rows } = boqExportRows(project, boqs, generatedAt);
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function boqExportFileName(project, extension) {
+  const name = String(project.project_name).replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 60);
+  return `${name || "project"}-${project.project_id}-boq.${extension}`;
+}
+
+module.exports = {
+  boqWorkbook,
+  boqCsv,
+  boqExportFileName,
+};
@@ -0,0 +1,192 @@
+// BOQ revisions: named snapshots of a project's BOQ lines and the comparison
+// of two of them (or of one with the live BOQ). Lines are matched by the
+// boq_id they were copied from, so edits made through PUT /api/boq/:id show
+// up as changed lines.
+
+const ITEM_FIELDS = ["category", "item_code", "description", "floor", "unit", "quantity", "rate", "amount"];
+const NUMERIC_FIELDS = ["quantity", "rate", "amount"];
+
+const UNCATEGORISED = "Uncategorised";
+
+function toNumber(value) {
+  return value === null || value === undefined || value === "" ? null : Number(value);
+}
+
+function toText(value) {
+  return value === null || value === undefined || String(value).trim() === "" ? null : String(value).trim();
+}
+
+// NUMERIC columns arrive as strings; sums and differences drop float noise
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function delta(from, to) {
+  if (from === null && to === null) return null;
+  return round((to || 0) - (from || 0));
+}
+
+function itemValues(item) {
+  const values = {};
+  ITEM_FIELDS.forEach((field) => {
+    values[field] = NUMERIC_FIELDS.includes(field) ? toNumber(item[field]) : toText(item[field]);
+  });
+  return values;
+}
+
+/**
+ * Freezes the project's current BOQ lines as a new revision. Run it inside a
+ * transaction: the revision row, its lines and the active flag are written
+ * together. Returns the revision row, or null when the project already has a
+ * revision of that name.
+ */
+async function createRevision(db, projectId, { name, notes, activate }, userId) {
+  const inserted = await db.query(
+    `INSERT INTO boq_revisions (project_id, name, notes, created_by) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (project_id, LOWER(name)) DO NOTHING
+     RETURNING revision_id`,
+    [projectId, name, notes, userId]
+  );
+  if (inserted.rowCount === 0) return null;
+  const revisionId = inserted.rows[0].revision_id;
+
+  await db.query(
+    `INSERT INTO boq_revision_items (revision_id, boq_id, ${ITEM_FIELDS.join(", ")})
+     SELECT $1, boq_id, ${ITEM_FIELDS.join(", ")} FROM boqs WHERE project_id = $2`,
+    [revisionId, projectId]
+  );
+  await db.query(
+    `UPDATE boq_revisions SET
+       item_count = (SELECT COUNT(*) FROM boq_revision_items WHERE revision_id = $1),
+       total_amount = (SELECT COALESCE(SUM(amount), 0) FROM boq_revision_items WHERE revision_id = $1)
+     WHERE revision_id = $1`,
+    [revisionId]
+  );
+
+  if (activate) {
+    return activateRevision(db, projectId, revisionId);
+  }
+  const result = await db.query("SELECT * FROM boq_revisions WHERE revision_id = $1", [revisionId]);
+  return result.rows[0];
+}
+
+/**
+ * Makes a revision the project's active one. The previous active revision is
+ * cleared first because the one-active-revision index is checked per row.
+ */
+async function activateRevision(db, projectId, revisionId) {
+  await db.query(
+    "UPDATE boq_revisions SET is_active = FALSE WHERE project_id = $1 AND is_active AND revision_id <> $2",
+    [projectId, revisionId]
+  );
+  const result = await db.query(
+    `UPDATE boq_revisions SET is_active = TRUE, activated_at = CURRENT_TIMESTAMP
+     WHERE project_id = $1 AND revision_id = $2
+     RETURNING *`,
+    [projectId, revisionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Finds a revision of the project by id or, failing that, by name
+ * (case-insensitive).
+ */
+async function findRevision(db, projectId, reference) {
+  const text = String(reference).trim();
+  const result = /^\d+$/.test(text)
+    ? await db.query("SELECT * FROM boq_revisions WHERE project_id = $1 AND revision_id = $2", [projectId, text])
+    : await db.query("SELECT * FROM boq_revisions WHERE project_id = $1 AND LOWER(name) = LOWER($2)", [projectId, text]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The lines of a revision, or of the live BOQ when `revision` is null.
+ */
+async function revisionItems(db, projectId, revision) {
+  const result = revision
+    ? await db.query(`SELECT boq_id, ${ITEM_FIELDS.join(", ")} FROM boq_revision_items WHERE revision_id = $1 ORDER BY boq_id`, [revision.revision_id])
+    : await db.query(`SELECT boq_id, ${ITEM_FIELDS.join(", ")} FROM boqs WHERE project_id = $1 ORDER BY boq_id`, [projectId]);
+  return result.rows;
+}
+
+/**
+ * Compares two sets of BOQ lines. Lines are reported under the category they
+ * have in `toItems` (or `fromItems` when removed); each category also carries
+ * its total amount on both sides, counted by the category each side gives the
+ * line.
+ */
+function compareItems(fromItems, toItems) {
+  const before = new Map(fromItems.map((item) => [item.boq_id, itemValues(item)]));
+  const after = new Map(toItems.map((item) => [item.boq_id, itemValues(item)]));
+  const categories = new Map();
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0, from_amount: 0, to_amount: 0, amount_delta: 0 };
+
+  // Free-text categories: "Civil " and "civil" are the same group
+  const categoryFor = (values) => {
+    const label = values.category || UNCATEGORISED;
+    const key = label.toLowerCase();
+    if (!categories.has(key)) {
+      categories.set(key, { category: label, from_amount: 0, to_amount: 0, amount_delta: 0, added: [], removed: [], changed: [] });
+    }
+    return categories.get(key);
+  };
+
+  before.forEach((values) => {
+    categoryFor(values).from_amount += values.amount || 0;
+    summary.from_amount += values.amount || 0;
+  });
+  after.forEach((values) => {
+    categoryFor(values).to_amount += values.amount || 0;
+    summary.to_amount += values.amount || 0;
+  });
+
+  const ids = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+  ids.forEach((boqId) => {
+    const from = before.get(boqId) || null;
+    const to = after.get(boqId) || null;
+    const changedFields = from && to ? ITEM_FIELDS.filter((field) => from[field] !== to[field]) : [];
+    const change = !from ? "added" : !to ? "removed" : changedFields.length > 0 ? "changed" : null;
+    if (!change) {
+      summary.unchanged += 1;
+      return;
+    }
+
+    const current = to || from;
+    const entry = {
+      boq_id: boqId,
+      item_code: current.item_code,
+      description: current.description,
+      floor: current.floor,
+      unit: current.unit,
+      from,
+      to,
+      quantity_delta: delta(from ? from.quantity : null, to ? to.quantity : null),
+      rate_delta: delta(from ? from.rate : null, to ? to.rate : null),
+      amount_delta: delta(from ? from.amount : null, to ? to.amount : null),
+    };
+    if (change === "changed") entry.changed_fields = changedFields;
+
+    categoryFor(current)[change].push(entry);
+    summary[change] += 1;
+  });
+
+  categories.forEach((category) => {
+    category.from_amount = round(category.from_amount);
+    category.to_amount = round(category.to_amount);
+    category.amount_delta = round(category.to_amount - category.from_amount);
+  });
+  summary.from_amount = round(summary.from_amount);
+  summary.to_amount = round(summary.to_amount);
+  summary.amount_delta = round(summary.to_amount - summary.from_amount);
+
+  return { summary, categories: [...categories.values()] };
+}
+
+module.exports = {
+  createRevision,
+  activateRevision,
+  findRevision,
+  revisionItems,
+  compareItems,
+};
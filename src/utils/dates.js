@@ -0,0 +1,27 @@
+// Strict ISO 8601 checks for values bound for DATE and TIMESTAMP columns.
+// Date.parse accepts "2020" and rolls "2026-02-31" over into March, while
+// PostgreSQL's ::date and ::timestamp casts reject both with an error.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^(\d{4}-\d{2}-\d{2})[T ]([01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?(?:Z|[+-](?:[01]\d|2[0-3]):?[0-5]\d)?$/i;
+
+/**
+ * Whether `value` is a YYYY-MM-DD string naming a real calendar day.
+ */
+function isIsoDate(value) {
+  if (typeof value !== "string" || !DATE.test(value) || value.startsWith("0000")) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Whether `value` is a YYYY-MM-DD date or an ISO date-time on a real
+ * calendar day (seconds, fractions and a UTC offset are optional).
+ */
+function isIsoDateTime(value) {
+  if (isIsoDate(value)) return true;
+  const match = typeof value === "string" ? value.match(DATE_TIME) : null;
+  return Boolean(match) && isIsoDate(match[1]);
+}
+
+module.exports = { isIsoDate, isIsoDateTime };
@@ -0,0 +1,22 @@
+// Ids from the path or body are checked before they reach SQL: a value that
+// PostgreSQL cannot cast to the column type fails the whole query, which would
+// surface as a 500 instead of a 404 or 400.
+
+const MAX_SERIAL = 2147483647;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether `value` can name a SERIAL (INTEGER) row.
+ */
+function isSerialId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) <= MAX_SERIAL;
+}
+
+/**
+ * Whether `value` can name a UUID row (users, sessions, keys, invitations).
+ */
+function isUuid(value) {
+  return UUID.test(String(value));
+}
+
+module.exports = { isSerialId, isUuid };
@@ -0,0 +1,205 @@
+// Shared pagination, filtering, sorting and search for list routes. Each router
+// declares a spec naming its table and the columns clients may filter, sort and
+// search on; nothing outside the spec ever reaches the SQL text.
+//
+// Spec shape:
+//   table, idColumn       - table name and unique, sortable tie-breaker column
+//   sortFields            - { query name: column }, defaultSort names one of them
+//   filters               - { query name: column } case-insensitive equality; a
+//                           comma-separated value matches any of the values
+//   booleanFilters        - { query name: column } accepting true/false
+//   dateFilters           - { prefix: column } adding <prefix>_from/<prefix>_to
+//   rangeFilters          - { prefix: column } adding <prefix>_min/<prefix>_max
+//   searchColumns         - columns matched by the free-text `q` (ILIKE)
+
+const { isIsoDateTime } = require("./dates");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Cursors come back from clients, so their values are checked before they reach SQL
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+  if (!payload || typeof payload !== "object") return null;
+  // BIGSERIAL ids come back from pg as strings
+  const id = typeof payload.id === "string" && /^\d+$/.test(payload.id) ? Number(payload.id) : payload.id;
+  if (!Number.isSafeInteger(id)) return null;
+  if (payload.v !== null && typeof payload.v !== "string" && typeof payload.v !== "number") return null;
+  return payload;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Validates the list parameters in `query` against `spec`. Returns { list }
+ * for fetchList or { error } describing the first invalid parameter.
+ */
+function parseListQuery(query, spec) {
+  const list = { filters: [], q: null };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  list.limit = limit;
+
+  let sort = query.sort === undefined ? spec.defaultSort : String(query.sort);
+  let order = query.order === undefined ? null : String(query.order).toLowerCase();
+  if (sort.startsWith("-")) {
+    sort = sort.slice(1);
+    order = order || "desc";
+  }
+  if (!spec.sortFields[sort]) {
+    return { error: `sort must be one of ${Object.keys(spec.sortFields).join(", ")}` };
+  }
+  order = order || (query.sort === undefined ? spec.defaultOrder || "desc" : "asc");
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+  list.sort = sort;
+  list.order = order;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: "invalid cursor" };
+    }
+    if (cursor.s !== sort || cursor.o !== order) {
+      return { error: "cursor was issued for a different sort" };
+    }
+    list.cursor = cursor;
+  }
+
+  for (const [name, column] of Object.entries(spec.filters || {})) {
+    if (query[name] === undefined || query[name] === "") continue;
+    const values = String(query[name])
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean);
+    list.filters.push({ sql: (param) => `LOWER(${column}::text) = ANY(${param}::text[])`, value: values });
+  }
+
+  for (const [name, column] of Object.entries(spec.booleanFilters || {})) {
+    if (query[name] === undefined || query[name] === "") continue;
+    const value = String(query[name]).toLowerCase();
+    if (value !== "true" && value !== "false") {
+      return { error: `${name} must be true or false` };
+    }
+    list.filters.push({ sql: (param) => `COALESCE(${column}, FALSE) = ${param}::boolean`, value: value === "true" });
+  }
+
+  for (const [prefix, column] of Object.entries(spec.dateFilters || {})) {
+    for (const [suffix, operator] of [["from", ">="], ["to", "<="]]) {
+      const name = `${prefix}_${suffix}`;
+      if (query[name] === undefined || query[name] === "") continue;
+      if (!isIsoDateTime(String(query[name]))) {
+        return { error: `${name} must be a date (YYYY-MM-DD) or an ISO date-time` };
+      }
+      // A bare date as the upper bound includes that whole day
+      const inclusiveDay = suffix === "to" && /^\d{4}-\d{2}-\d{2}$/.test(String(query[name]));
+      list.filters.push({
+        sql: (param) =>
+          inclusiveDay
+            ? `${column} < ${param}::date + 1`
+            : `${column} ${operator} ${param}::timestamp`,
+        value: String(query[name]),
+      });
+    }
+  }
+
+  for (const [prefix, column] of Object.entries(spec.rangeFilters || {})) {
+    for (const [suffix, operator] of [["min", ">="], ["max", "<="]]) {
+      const name = `${prefix}_${suffix}`;
+      if (query[name] === undefined || query[name] === "") continue;
+      const value = Number(query[name]);
+      if (Number.isNaN(value)) {
+        return { error: `${name} must be a number` };
+      }
+      list.filters.push({ sql: (param) => `${column} ${operator} ${param}::numeric`, value });
+    }
+  }
+
+  if (query.q !== undefined && String(query.q).trim() !== "") {
+    list.q = String(query.q).trim();
+  }
+
+  return { list };
+}
+
+/**
+ * Runs a parsed list query. `conditions` and `values` carry the route's own
+ * restrictions (project scope, path parameters) and are extended in place.
+ * Resolves to { data, total, limit, next_cursor }; next_cursor is null on the
+ * last page.
+ */
+async function fetchList(db, spec, list, conditions, values) {
+  const where = [...conditions];
+
+  list.filters.forEach((filter) => {
+    values.push(filter.value);
+    where.push(filter.sql(`$${values.length}`));
+  });
+
+  if (list.q && spec.searchColumns && spec.searchColumns.length > 0) {
+    values.push(`%${escapeLike(list.q)}%`);
+    const param = `$${values.length}`;
+    where.push(`(${spec.searchColumns.map((column) => `${column}::text ILIKE ${param}`).join(" OR ")})`);
+  }
+
+  const filterSql = where.length > 0 ? where.join(" AND ") : "TRUE";
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM ${spec.table} WHERE ${filterSql}`, values);
+
+  const sortColumn = spec.sortFields[list.sort];
+  const direction = list.order === "asc" ? "ASC" : "DESC";
+  const comparator = list.order === "asc" ? ">" : "<";
+  const pageValues = [...values];
+  const pageWhere = [...where];
+
+  // Keyset pagination: NULL sort values come last in either direction
+  if (list.cursor) {
+    pageValues.push(list.cursor.id);
+    const idParam = `$${pageValues.length}`;
+    if (list.cursor.v === null) {
+      pageWhere.push(`(${sortColumn} IS NULL AND ${spec.idColumn} ${comparator} ${idParam})`);
+    } else {
+      pageValues.push(list.cursor.v);
+      const valueParam = `$${pageValues.length}`;
+      pageWhere.push(
+        `(${sortColumn} ${comparator} ${valueParam} OR (${sortColumn} = ${valueParam} AND ${spec.idColumn} ${comparator} ${idParam}) OR ${sortColumn} IS NULL)`
+      );
+    }
+  }
+
+  pageValues.push(list.limit + 1);
+  const pageResult = await db.query(
+    `SELECT *, ${sortColumn}::text AS __sort_value FROM ${spec.table}
+     WHERE ${pageWhere.length > 0 ? pageWhere.join(" AND ") : "TRUE"}
+     ORDER BY ${sortColumn} ${direction} NULLS LAST, ${spec.idColumn} ${direction}
+     LIMIT $${pageValues.length}`,
+    pageValues
+  );
+
+  const rows = pageResult.rows.slice(0, list.limit);
+  const last = rows[rows.length - 1];
+  const nextCursor =
+    pageResult.rows.length > list.limit
+      ? encodeCursor({ s: list.sort, o: list.order, v: last.__sort_value, id: last[spec.idColumn] })
+      : null;
+
+  rows.forEach((row) => delete row.__sort_value);
+
+  return { data: rows, total: countResult.rows[0].total, limit: list.limit, next_cursor: nextCursor };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, fetchList };
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Minimal pluggable mail delivery. The active transport is picked by
+ * MAIL_TRANSPORT ("console" by default, or "file" to write each message as a
+ * JSON file under MAIL_OUTBOX_DIR). Real providers can be added with
+ * registerTransport without touching the callers.
+ */
+const transports = {
+  console: async (message) => {
+    console.log(
+      `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+  },
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../logs/mail");
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const filename = `${Date.now()}-${safeTo}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, filename),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  },
+};
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * @param {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({ from: process.env.MAIL_FROM || "no-reply@madhuram.local", ...message });
+}
+
+module.exports = { sendMail, registerTransport };
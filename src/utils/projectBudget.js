@@ -0,0 +1,256 @@
+// Budget tracking: a numeric project budget split by BOQ category, committed
+// spend from PO total_amount, variance against the BOQ baseline and the
+// thresholds that flag or block new POs.
+
+// PO statuses that do not count towards committed spend
+const UNCOMMITTED_PO_STATUSES = ["cancelled", "rejected"];
+
+const UNCATEGORISED = "Uncategorised";
+
+// Categories are free text, so "Civil " and "civil" are the same budget line
+const categoryKey = (column) => `LOWER(COALESCE(NULLIF(BTRIM(${column}), ''), '${UNCATEGORISED}'))`;
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : Number(value);
+}
+
+// estimate_value is free text such as "1,25,00,000" or "Rs. 4500000"
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function isCommitted(status) {
+  return !UNCOMMITTED_PO_STATUSES.includes(String(status || "created").toLowerCase());
+}
+
+function percentOf(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+function round2(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * The project's total budget: budget_amount when set, otherwise the number in
+ * estimate_value, otherwise null.
+ */
+function totalBudget(project) {
+  if (project.budget_amount !== null && project.budget_amount !== undefined) return Number(project.budget_amount);
+  return parseAmount(project.estimate_value);
+}
+
+async function findBudgetProject(db, projectId) {
+  const result = await db.query(
+    `SELECT project_id, estimate_value, budget_amount, budget_warn_percent, budget_block_percent
+     FROM projects WHERE project_id = $1`,
+    [projectId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Per-category budget lines keyed by categoryKey. A category without an
+ * explicit budget uses its BOQ baseline.
+ */
+async function categoryBudgets(db, projectId) {
+  const baseline = await db.query(
+    `SELECT ${categoryKey("category")} AS key, MIN(COALESCE(NULLIF(BTRIM(category), ''), '${UNCATEGORISED}')) AS category,
+       SUM(amount) AS amount
+     FROM boqs WHERE project_id = $1
+     GROUP BY 1`,
+    [projectId]
+  );
+  const explicit = await db.query(
+    `SELECT LOWER(category) AS key, category, budget_amount
+     FROM project_budget_categories WHERE project_id = $1`,
+    [projectId]
+  );
+
+  const lines = new Map();
+  baseline.rows.forEach((row) => {
+    lines.set(row.key, { category: row.category, budget: null, boq_baseline: toNumber(row.amount) });
+  });
+  explicit.rows.forEach((row) => {
+    const line = lines.get(row.key) || { category: row.category, boq_baseline: 0 };
+    lines.set(row.key, { ...line, category: row.category, budget: Number(row.budget_amount) });
+  });
+  lines.forEach((line) => {
+    line.budget_source = line.budget === null ? "boq_baseline" : "explicit";
+    if (line.budget === null) line.budget = line.boq_baseline;
+  });
+  return lines;
+}
+
+/**
+ * Full budget report for a project, or null when it does not exist.
+ */
+async function budgetReport(db, projectId) {
+  const project = await findBudgetProject(db, projectId);
+  if (!project) return null;
+
+  const lines = await categoryBudgets(db, projectId);
+  const spend = await db.query(
+    `SELECT CASE WHEN budget_category IS NULL THEN NULL ELSE ${categoryKey("budget_category")} END AS key,
+       MIN(BTRIM(budget_category)) AS category, COALESCE(status, 'created') AS status,
+       COUNT(*)::int AS count, SUM(total_amount) AS amount
+     FROM pos WHERE project_id = $1
+     GROUP BY 1, 3`,
+    [projectId]
+  );
+
+  const warnPercent = Number(project.budget_warn_percent);
+  const blockPercent = project.budget_block_percent === null ? null : Number(project.budget_block_percent);
+  const byStatus = new Map();
+  let unallocated = 0;
+
+  spend.rows.forEach((row) => {
+    const amount = toNumber(row.amount);
+    const status = byStatus.get(row.status) || { status: row.status, count: 0, amount: 0, committed: isCommitted(row.status) };
+    status.count += row.count;
+    status.amount += amount;
+    byStatus.set(row.status, status);
+
+    if (!isCommitted(row.status)) return;
+    if (row.key === null) {
+      unallocated += amount;
+      return;
+    }
+    // POs may name a category that has neither BOQ lines nor a budget
+    const line = lines.get(row.key) || { category: row.category, budget: null, boq_baseline: 0, budget_source: "none" };
+    line.committed = (line.committed || 0) + amount;
+    lines.set(row.key, line);
+  });
+
+  const flagFor = (committed, budget) => {
+    if (budget === null) return null;
+    if (committed > budget) return "over_budget";
+    if (budget > 0 && committed >= (budget * warnPercent) / 100) return "warning";
+    return null;
+  };
+
+  const categories = [...lines.values()]
+    .map((line) => {
+      const committed = line.committed || 0;
+      const hasBudget = line.budget !== null;
+      return {
+        category: line.category,
+        budget: round2(line.budget),
+        budget_source: line.budget_source,
+        boq_baseline: round2(line.boq_baseline),
+        variance: hasBudget ? round2(line.budget - line.boq_baseline) : null,
+        committed: round2(committed),
+        remaining: hasBudget ? round2(line.budget - committed) : null,
+        utilization_percent: percentOf(committed, line.budget),
+        flag: flagFor(committed, line.budget),
+      };
+    })
+    .sort((a, b) => a.category.localeCompare(b.category));
+
+  const baselineTotal = categories.reduce((sum, line) => sum + line.boq_baseline, 0);
+  const committedTotal = [...byStatus.values()].filter((row) => row.committed).reduce((sum, row) => sum + row.amount, 0);
+  let budget = totalBudget(project);
+  const budgetSource = budget !== null ? (project.budget_amount !== null ? "budget_amount" : "estimate_value") : "categories";
+  if (budget === null) budget = categories.reduce((sum, line) => sum + (line.budget || 0), 0);
+
+  return {
+    project_id: project.project_id,
+    budget: round2(budget),
+    budget_source: budgetSource,
+    boq_baseline: round2(baselineTotal),
+    variance: round2(budget - baselineTotal),
+    committed: round2(committedTotal),
+    unallocated_committed: round2(unallocated),
+    remaining: round2(budget - committedTotal),
+    utilization_percent: percentOf(committedTotal, budget),
+    flag: flagFor(committedTotal, budget),
+    thresholds: { warn_percent: warnPercent, block_percent: blockPercent },
+    by_status: [...byStatus.values()].map((row) => ({ ...row, amount: round2(row.amount) })),
+    categories,
+  };
+}
+
+/**
+ * Checks what a PO of `amount` would do to its category budget (or to the
+ * project budget when it has no budget_category). `excludePoId` leaves the
+ * PO's own previous amount out when it is being updated. Resolves to null when
+ * there is no budget to check against; otherwise `level` is "ok",
+ * "over_budget" (the PO is flagged) or "blocked" (past budget_block_percent).
+ */
+async function checkPoBudget(db, { projectId, category, amount, status, excludePoId = null }) {
+  if (!isCommitted(status)) return null;
+
+  const project = await findBudgetProject(db, projectId);
+  if (!project) return null;
+
+  const hasCategory = category !== null && category !== undefined && String(category).trim() !== "";
+  let budget;
+  let label;
+  const values = [projectId, excludePoId];
+  let categoryCondition = "TRUE";
+
+  if (hasCategory) {
+    const lines = await categoryBudgets(db, projectId);
+    const line = lines.get(String(category).trim().toLowerCase());
+    // Spending on a category with no BOQ lines and no budget has nothing to exceed
+    if (!line) return null;
+    budget = line.budget;
+    label = `category ${line.category}`;
+    values.push(String(category).trim().toLowerCase());
+    categoryCondition = `budget_category IS NOT NULL AND ${categoryKey("budget_category")} = $3`;
+  } else {
+    budget = totalBudget(project);
+    if (budget === null) return null;
+    label = "project";
+  }
+
+  const committed = await db.query(
+    `SELECT COALESCE(SUM(total_amount), 0) AS amount FROM pos
+     WHERE project_id = $1 AND ($2::int IS NULL OR po_id <> $2)
+       AND LOWER(COALESCE(status, 'created')) <> ALL($${values.length + 1}::text[])
+       AND ${categoryCondition}`,
+    [...values, UNCOMMITTED_PO_STATUSES]
+  );
+
+  const committedAmount = toNumber(committed.rows[0].amount);
+  const projected = committedAmount + toNumber(amount);
+  const blockPercent = project.budget_block_percent === null ? null : Number(project.budget_block_percent);
+
+  let level = "ok";
+  if (projected > budget) level = "over_budget";
+  if (blockPercent !== null && projected > (budget * blockPercent) / 100) level = "blocked";
+
+  return {
+    scope: label,
+    budget: round2(budget),
+    committed: round2(committedAmount),
+    projected: round2(projected),
+    utilization_percent: percentOf(projected, budget),
+    block_percent: blockPercent,
+    level,
+  };
+}
+
+/**
+ * Whether an update to a PO puts more spend on a budget line: the PO becomes
+ * committed, moves to another budget_category or its total_amount goes up.
+ */
+function addsPoSpend(before, after) {
+  if (!isCommitted(after.status)) return false;
+  if (!isCommitted(before.status)) return true;
+  const key = (category) => (category === null || category === undefined ? "" : String(category).trim().toLowerCase());
+  if (key(before.budget_category) !== key(after.budget_category)) return true;
+  return toNumber(after.total_amount) > toNumber(before.total_amount);
+}
+
+module.exports = {
+  UNCOMMITTED_PO_STATUSES,
+  toNumber,
+  parseAmount,
+  totalBudget,
+  budgetReport,
+  checkPoBudget,
+  addsPoSpend,
+};
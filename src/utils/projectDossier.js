@@ -0,0 +1,313 @@
+// Project dossier: a ZIP with the project metadata, the BOQ as XLSX, a PDF per
+// MIR, ITR and PO, every uploaded file the project's records point at and a
+// manifest with SHA-256 checksums of all of it.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const { pool } = require("../db");
+const { renderRecordPdf } = require("./recordPdf");
+const { boqWorkbook } = require("./boqExport");
+const { PROJECT_RECORD_TYPES } = require("./projectRecords");
+
+const UPLOAD_ROOT = path.join(__dirname, "../../uploads");
+const EXPORT_DIR = path.join(__dirname, "../../exports/dossiers");
+
+// Record sections; each is only included for callers with read permission on it
+const DOSSIER_SECTIONS = [
+  { resource: "boq", key: "boqs", table: "boqs", idColumn: "boq_id" },
+  { resource: "mir", key: "mirs", table: "mirs", idColumn: "mir_id" },
+  { resource: "itr", key: "itrs", table: "itrs", idColumn: "itr_id" },
+  { resource: "po", key: "pos", table: "pos", idColumn: "po_id" },
+];
+
+// Upload folders whose files can belong to a project
+const UPLOAD_FOLDERS = DOSSIER_SECTIONS.map((section) => section.resource);
+const UPLOAD_REFERENCE = new RegExp(`(?:^|/)uploads/(?:(${UPLOAD_FOLDERS.join("|")})/)?([^/\\\\?#.][^/\\\\?#]*)$`);
+
+// Projects above either limit are built in the background
+const ASYNC_BYTES = Number(process.env.DOSSIER_ASYNC_BYTES || 20 * 1024 * 1024);
+const ASYNC_RECORDS = Number(process.env.DOSSIER_ASYNC_RECORDS || 200);
+const EXPORT_TTL_DAYS = 7;
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+// Record values name uploads as "/uploads/mir/x.pdf"; project files are bare names
+function collectUploadReferences(value, found) {
+  if (typeof value === "string") {
+    const match = value.trim().match(UPLOAD_REFERENCE);
+    if (match) found.add(match[1] ? `${match[1]}/${match[2]}` : match[2]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectUploadReferences(item, found));
+  } else if (value && typeof value === "object" && !(value instanceof Date)) {
+    Object.values(value).forEach((item) => collectUploadReferences(item, found));
+  }
+}
+
+// Upload paths (relative to uploads/) named by a project row and its record rows
+function uploadReferences(project, rows) {
+  const references = new Set();
+  [project.work_order_file, project.mas_file].filter(Boolean).forEach((name) => collectUploadReferences(`uploads/${path.basename(name)}`, references));
+  collectUploadReferences(rows, references);
+  return references;
+}
+
+/**
+ * Lists the disk paths of every upload the project and its BOQs, MIRs, ITRs
+ * and POs point at, whether or not the files still exist.
+ */
+async function projectUploadPaths(db, projectId) {
+  const project = await db.query("SELECT * FROM projects WHERE project_id = $1", [projectId]);
+  if (project.rows.length === 0) return [];
+
+  const rows = [];
+  for (const { table } of DOSSIER_SECTIONS) {
+    const result = await db.query(`SELECT * FROM ${table} WHERE project_id = $1`, [projectId]);
+    rows.push(...result.rows);
+  }
+
+  return [...uploadReferences(project.rows[0], rows)].map((reference) => path.join(UPLOAD_ROOT, reference));
+}
+
+/**
+ * The sections (resources of DOSSIER_SECTIONS) the caller may read.
+ */
+function readableSections(canRead) {
+  return DOSSIER_SECTIONS.map((section) => section.resource).filter((resource) => canRead(resource));
+}
+
+/**
+ * Loads everything that goes into a project's dossier, or null when the
+ * project does not exist. Only the record types named in `sections` are
+ * loaded, and only their uploads are collected. Files are listed with their
+ * size; referenced files that are no longer on disk end up in `missingFiles`.
+ */
+async function collectDossier(db, projectId, sections) {
+  const project = await db.query("SELECT * FROM projects WHERE project_id = $1 AND deleted_at IS NULL", [projectId]);
+  if (project.rows.length === 0) return null;
+
+  const members = await db.query(
+    `SELECT m.user_id, u.name, u.email, m.project_role, m.created_at
+     FROM project_members m JOIN auth_users u ON u.user_id = m.user_id
+     WHERE m.project_id = $1
+     ORDER BY u.name`,
+    [projectId]
+  );
+  const projectRecords = {};
+  for (const [type, spec] of Object.entries(PROJECT_RECORD_TYPES)) {
+    const result = await db.query(`SELECT * FROM ${spec.table} WHERE project_id = $1 ORDER BY ${spec.idColumn}`, [projectId]);
+    projectRecords[type] = result.rows;
+  }
+
+  const records = {};
+  for (const { resource, key, table, idColumn } of DOSSIER_SECTIONS) {
+    if (!sections.includes(resource)) {
+      records[key] = [];
+      continue;
+    }
+    const result = await db.query(`SELECT * FROM ${table} WHERE project_id = $1 ORDER BY ${idColumn}`, [projectId]);
+    records[key] = result.rows;
+  }
+
+  const row = project.rows[0];
+  const references = uploadReferences(row, Object.values(records));
+
+  const files = [];
+  const missingFiles = [];
+  [...references].sort().forEach((reference) => {
+    const diskPath = path.join(UPLOAD_ROOT, reference);
+    if (fs.existsSync(diskPath) && fs.statSync(diskPath).isFile()) {
+      files.push({ archivePath: `files/${reference}`, diskPath, size: fs.statSync(diskPath).size });
+    } else {
+      missingFiles.push(`uploads/${reference}`);
+    }
+  });
+
+  return { project: row, members: members.rows, projectRecords, sections, ...records, files, missingFiles };
+}
+
+function isLargeDossier(dossier) {
+  const bytes = dossier.files.reduce((sum, file) => sum + file.size, 0);
+  const records = dossier.mirs.length + dossier.itrs.length + dossier.pos.length;
+  return bytes > ASYNC_BYTES || records > ASYNC_RECORDS;
+}
+
+function safeName(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 60);
+}
+
+/**
+ * Writes the dossier ZIP to `output` (a file or the HTTP response). Resolves
+ * to the manifest once the archive has been written.
+ */
+async function writeDossier(dossier, output) {
+  const zip = new JSZip();
+  const entries = [];
+  const projectLabel = `${dossier.project.project_name} (project ${dossier.project.project_id})`;
+
+  const addBuffer = (archivePath, buffer, source) => {
+    zip.file(archivePath, buffer);
+    entries.push({ path: archivePath, size: buffer.length, sha256: sha256(buffer), source });
+  };
+
+  const { project, members, projectRecords } = dossier;
+  addBuffer("project.json", Buffer.from(JSON.stringify({ project, members, ...projectRecords }, null, 2)), "projects");
+  if (dossier.sections.includes("boq")) {
+    addBuffer("boq/boq.xlsx", boqWorkbook(project, dossier.boqs), "boqs");
+  }
+
+  for (const [key, label, idColumn, reference] of [
+    ["mirs", "MIR", "mir_id", "mir_refrence_no"],
+    ["itrs", "ITR", "itr_id", null],
+    ["pos", "PO", "po_id", "order_no"],
+  ]) {
+    for (const row of dossier[key]) {
+      const name = reference && row[reference] ? `${label}-${row[idColumn]}-${safeName(row[reference])}` : `${label}-${row[idColumn]}`;
+      const title = reference && row[reference] ? `${label} ${row[reference]}` : `${label} #${row[idColumn]}`;
+      addBuffer(`${label.toLowerCase()}/${name}.pdf`, await renderRecordPdf({ title, subtitle: projectLabel, row }), key);
+    }
+  }
+
+  // Uploaded files are streamed into the archive rather than read into memory
+  for (const file of dossier.files) {
+    zip.file(file.archivePath, fs.createReadStream(file.diskPath));
+    entries.push({ path: file.archivePath, size: file.size, sha256: await hashFile(file.diskPath), source: "uploads" });
+  }
+
+  const manifest = {
+    project_id: project.project_id,
+    project_name: project.project_name,
+    generated_at: new Date().toISOString(),
+    sections: dossier.sections,
+    counts: { boq_items: dossier.boqs.length, mirs: dossier.mirs.length, itrs: dossier.itrs.length, pos: dossier.pos.length, files: dossier.files.length },
+    files: entries,
+    missing_files: dossier.missingFiles,
+  };
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+
+  await new Promise((resolve, reject) => {
+    zip
+      .generateNodeStream({ type: "nodebuffer", streamFiles: true, compression: "DEFLATE" })
+      .on("error", reject)
+      .pipe(output)
+      .on("finish", resolve)
+      .on("error", reject);
+  });
+
+  return manifest;
+}
+
+function dossierFileName(project) {
+  return `${safeName(project.project_name) || "project"}-${project.project_id}-dossier.zip`;
+}
+
+function exportPath(exportId) {
+  return path.join(EXPORT_DIR, `${exportId}.zip`);
+}
+
+async function removeExpiredExports(db) {
+  const expired = await db.query("DELETE FROM project_exports WHERE expires_at < CURRENT_TIMESTAMP RETURNING export_id");
+  expired.rows.forEach((row) => {
+    if (fs.existsSync(exportPath(row.export_id))) fs.unlinkSync(exportPath(row.export_id));
+  });
+}
+
+async function buildExport(exportId, projectId, sections) {
+  const target = exportPath(exportId);
+  const partial = `${target}.part`;
+
+  try {
+    await pool.query("UPDATE project_exports SET status = 'building' WHERE export_id = $1", [exportId]);
+
+    const dossier = await collectDossier(pool, projectId, sections);
+    if (!dossier) throw new Error("project no longer exists");
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const manifest = await writeDossier(dossier, fs.createWriteStream(partial));
+    fs.renameSync(partial, target);
+
+    await pool.query(
+      `UPDATE project_exports SET status = 'ready', file_name = $2, size_bytes = $3, sha256 = $4, file_count = $5,
+         completed_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + make_interval(days => $6)
+       WHERE export_id = $1`,
+      [exportId, dossierFileName(dossier.project), fs.statSync(target).size, await hashFile(target), manifest.files.length + 1, EXPORT_TTL_DAYS]
+    );
+  } catch (error) {
+    console.error("Error building project dossier:", error);
+    if (fs.existsSync(partial)) fs.unlinkSync(partial);
+    await pool
+      .query(
+        `UPDATE project_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + make_interval(days => $3)
+         WHERE export_id = $1`,
+        [exportId, error.message, EXPORT_TTL_DAYS]
+      )
+      .catch((updateError) => console.error("Error recording dossier failure:", updateError));
+  }
+}
+
+// Background builds run one at a time so large archives do not compete for memory
+let queue = Promise.resolve();
+
+/**
+ * Queues a background build for a project_exports row.
+ */
+function enqueueExport(exportId, projectId, sections) {
+  queue = queue.then(() => buildExport(exportId, projectId, sections));
+  return queue;
+}
+
+/**
+ * The queue does not survive a restart. Run at startup: builds that were
+ * interrupted are marked failed (rebuilding them could crash the process
+ * again) and builds that never started are queued again.
+ */
+async function resumeExports(db) {
+  const interrupted = await db.query(
+    `UPDATE project_exports SET status = 'failed', error = 'interrupted by a server restart', completed_at = CURRENT_TIMESTAMP,
+       expires_at = CURRENT_TIMESTAMP + make_interval(days => $1)
+     WHERE status = 'building'
+     RETURNING export_id`,
+    [EXPORT_TTL_DAYS]
+  );
+  interrupted.rows.forEach((row) => {
+    const partial = `${exportPath(row.export_id)}.part`;
+    if (fs.existsSync(partial)) fs.unlinkSync(partial);
+  });
+  await db.query(
+    "UPDATE project_exports SET expires_at = created_at + make_interval(days => $1) WHERE expires_at IS NULL",
+    [EXPORT_TTL_DAYS]
+  );
+  await removeExpiredExports(db);
+
+  const queued = await db.query("SELECT export_id, project_id, sections FROM project_exports WHERE status = 'queued' ORDER BY created_at");
+  queued.rows.forEach((row) => enqueueExport(row.export_id, row.project_id, row.sections));
+  return queued.rows.length;
+}
+
+module.exports = {
+  EXPORT_TTL_DAYS,
+  collectDossier,
+  isLargeDossier,
+  writeDossier,
+  dossierFileName,
+  exportPath,
+  readableSections,
+  projectUploadPaths,
+  removeExpiredExports,
+  enqueueExport,
+  resumeExports,
+};
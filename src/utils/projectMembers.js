@@ -0,0 +1,110 @@
+const { pool } = require("../db");
+
+// Per-project roles; keep in sync with the project_members.project_role CHECK constraint
+const PROJECT_ROLES = ["project_manager", "site_engineer", "po_approver", "member"];
+const DEFAULT_PROJECT_ROLE = "member";
+
+/**
+ * Returns the entries of `projectList` that do not name an existing
+ * project_id, so callers can reject typos and deleted projects up front.
+ */
+async function findUnknownProjects(db, projectList) {
+  const values = (projectList || []).map((value) => String(value).trim());
+  if (values.length === 0) return [];
+
+  const result = await db.query(
+    "SELECT project_id::text AS project_id FROM projects WHERE project_id::text = ANY($1::text[])",
+    [values]
+  );
+  const known = new Set(result.rows.map((row) => row.project_id));
+  return values.filter((value) => !known.has(value));
+}
+
+/**
+ * Brings project_members in line with auth_users.project_list for the given
+ * users (all users when `userIds` is null): entries that name a project
+ * become memberships with the default role, memberships whose project is no
+ * longer listed are removed and existing roles are kept.
+ */
+async function syncProjectMembers(db, userIds = null) {
+  await db.query(
+    `INSERT INTO project_members (project_id, user_id, project_role)
+     SELECT DISTINCT p.project_id, u.user_id, $2
+     FROM auth_users u
+     CROSS JOIN LATERAL unnest(u.project_list) AS entry(code)
+     JOIN projects p ON p.project_id::text = btrim(entry.code)
+     WHERE $1::uuid[] IS NULL OR u.user_id = ANY($1::uuid[])
+     ON CONFLICT (project_id, user_id) DO NOTHING`,
+    [userIds, DEFAULT_PROJECT_ROLE]
+  );
+
+  await db.query(
+    `DELETE FROM project_members m
+     USING auth_users u
+     WHERE m.user_id = u.user_id
+       AND ($1::uuid[] IS NULL OR u.user_id = ANY($1::uuid[]))
+       AND NOT (m.project_id::text = ANY(ARRAY(SELECT btrim(code) FROM unnest(u.project_list) AS code)))`,
+    [userIds]
+  );
+}
+
+/**
+ * Adds `userId` to the project (or changes their role when already a member)
+ * and mirrors the assignment into auth_users.project_list.
+ */
+async function addProjectMember(db, projectId, userId, projectRole, addedBy) {
+  const result = await db.query(
+    `INSERT INTO project_members (project_id, user_id, project_role, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (project_id, user_id) DO UPDATE SET project_role = EXCLUDED.project_role
+     RETURNING *`,
+    [projectId, userId, projectRole || DEFAULT_PROJECT_ROLE, addedBy || null]
+  );
+
+  await db.query(
+    `UPDATE auth_users SET project_list = array_append(project_list, $1)
+     WHERE user_id = $2 AND NOT ($1 = ANY(project_list))`,
+    [String(projectId), userId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Removes the membership and the matching project_list entry. Returns false
+ * when the user was not a member.
+ */
+async function removeProjectMember(db, projectId, userId) {
+  const result = await db.query(
+    "DELETE FROM project_members WHERE project_id = $1 AND user_id = $2",
+    [projectId, userId]
+  );
+
+  await db.query(
+    "UPDATE auth_users SET project_list = array_remove(project_list, $1) WHERE user_id = $2",
+    [String(projectId), userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+// Soft-deleted projects are left out so they drop out of every member's scope
+async function listProjectIdsForUser(userId, db = pool) {
+  const result = await db.query(
+    `SELECT m.project_id FROM project_members m
+     JOIN projects p ON p.project_id = m.project_id
+     WHERE m.user_id = $1 AND p.deleted_at IS NULL`,
+    [userId]
+  );
+  return result.rows.map((row) => row.project_id);
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  DEFAULT_PROJECT_ROLE,
+  findUnknownProjects,
+  syncProjectMembers,
+  addProjectMember,
+  removeProjectMember,
+  listProjectIdsForUser,
+};
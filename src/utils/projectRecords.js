@@ -0,0 +1,191 @@
+// Per-project child records that replaced the free-form projects.pr_po_tracking,
+// samples and ml_management arrays. Each type declares its table, the columns
+// clients may write and the statuses it moves through; routes/projectRecords.js
+// builds the CRUD routes from these specs.
+
+const { isIsoDate } = require("./dates");
+
+const PROJECT_RECORD_TYPES = {
+  pr_po_tracking: {
+    table: "project_pr_po_tracking",
+    idColumn: "tracking_id",
+    label: "PR/PO tracking entry",
+    titleField: "description",
+    fields: {
+      description: "text",
+      pr_number: "text",
+      pr_date: "date",
+      po_number: "text",
+      po_date: "date",
+      po_id: "integer",
+      vendor_name: "text",
+      amount: "number",
+      required_by: "date",
+      remarks: "text",
+    },
+    statuses: ["pr_raised", "pr_approved", "po_issued", "delivered", "closed", "cancelled"],
+    reviewStatuses: [],
+    // Fields naming another record, which must belong to the same project
+    projectReferences: { po_id: { table: "pos", column: "po_id" } },
+    searchColumns: ["description", "pr_number", "po_number", "vendor_name", "remarks"],
+  },
+  samples: {
+    table: "project_samples",
+    idColumn: "sample_id",
+    label: "Sample",
+    titleField: "material",
+    fields: {
+      material: "text",
+      description: "text",
+      make: "text",
+      vendor_name: "text",
+      submitted_on: "date",
+      remarks: "text",
+    },
+    statuses: ["pending", "submitted", "approved", "approved_with_comments", "rejected"],
+    // Moving into one of these records who reviewed the sample and when
+    reviewStatuses: ["approved", "approved_with_comments", "rejected"],
+    searchColumns: ["material", "description", "make", "vendor_name", "remarks"],
+  },
+  ml_management: {
+    table: "project_material_list",
+    idColumn: "entry_id",
+    label: "Material list entry",
+    titleField: "material",
+    fields: {
+      material: "text",
+      specification: "text",
+      make: "text",
+      unit: "text",
+      quantity: "number",
+      remarks: "text",
+    },
+    statuses: ["proposed", "submitted", "approved", "rejected"],
+    reviewStatuses: ["approved", "rejected"],
+    searchColumns: ["material", "specification", "make", "remarks"],
+  },
+};
+
+function parseFieldValue(type, value, name) {
+  if (value === null || value === "") return { value: null };
+
+  if (type === "date") {
+    if (!isIsoDate(String(value))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+    return { value: String(value) };
+  }
+  if (type === "number" || type === "integer") {
+    const number = Number(value);
+    if (Number.isNaN(number) || (type === "integer" && !Number.isInteger(number))) {
+      return { error: `${name} must be ${type === "integer" ? "an integer" : "a number"}` };
+    }
+    return { value: number };
+  }
+  return { value: String(value).trim() };
+}
+
+/**
+ * Validates the fields of `spec` present in `body`, plus status. Returns
+ * { fields } with only the fields sent, or { error }.
+ */
+function parseRecordFields(spec, body, { creating }) {
+  const fields = {};
+
+  for (const [name, type] of Object.entries(spec.fields)) {
+    if (body[name] === undefined) continue;
+    const { value, error } = parseFieldValue(type, body[name], name);
+    if (error) return { error };
+    fields[name] = value;
+  }
+
+  if (creating || fields[spec.titleField] !== undefined) {
+    if (!fields[spec.titleField]) return { error: `${spec.titleField} is required` };
+  }
+
+  if (body.status !== undefined) {
+    if (!spec.statuses.includes(body.status)) {
+      return { error: `status must be one of ${spec.statuses.join(", ")}` };
+    }
+    fields.status = body.status;
+  }
+
+  return { fields };
+}
+
+/**
+ * Normalises a legacy request value (an array, a JSON array string or a
+ * single string) into a list of entries.
+ */
+function legacyEntries(value) {
+  if (value === undefined || value === null || value === "") return [];
+  let entries = value;
+  if (typeof value === "string") {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      entries = [value];
+    }
+  }
+  if (!Array.isArray(entries)) entries = [entries];
+  // Objects sent in a JSON body are kept as the JSON text they were stored as
+  return entries.map((entry) => (entry !== null && typeof entry === "object" ? JSON.stringify(entry) : entry));
+}
+
+/**
+ * Turns one entry of a legacy array column into record fields. Entries that
+ * hold a JSON object keep the keys that match the spec; anything else becomes
+ * the record's title. Returns null for blank entries.
+ */
+function legacyEntryFields(spec, entry) {
+  const text = entry === null || entry === undefined ? "" : String(entry).trim();
+  if (!text) return null;
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+    const fields = {};
+    Object.entries(spec.fields).forEach(([name, type]) => {
+      if (parsed[name] === undefined) return;
+      const { value, error } = parseFieldValue(type, parsed[name], name);
+      if (!error) fields[name] = value;
+    });
+    if (spec.statuses.includes(parsed.status)) fields.status = parsed.status;
+    if (!fields[spec.titleField]) fields[spec.titleField] = text;
+    return fields;
+  }
+
+  return { [spec.titleField]: text };
+}
+
+async function insertRecord(db, spec, projectId, fields, userId) {
+  const columns = ["project_id", ...Object.keys(fields), "created_by"];
+  const values = [projectId, ...Object.values(fields), userId || null];
+  const placeholders = values.map((value, index) => `$${index + 1}`);
+
+  if (spec.reviewStatuses.includes(fields.status)) {
+    columns.push("reviewed_by", "reviewed_at");
+    placeholders.push(`$${values.length}`, "CURRENT_TIMESTAMP");
+  }
+
+  const result = await db.query(
+    `INSERT INTO ${spec.table} (${columns.join(", ")})
+     VALUES (${placeholders.join(", ")})
+     RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  PROJECT_RECORD_TYPES,
+  parseRecordFields,
+  legacyEntries,
+  legacyEntryFields,
+  insertRecord,
+};
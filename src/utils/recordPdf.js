@@ -0,0 +1,98 @@
+// Renders a database record (MIR, ITR, PO) as a plain, printable PDF: the
+// scalar columns as a details list, then one section per JSON document.
+
+const PDFDocument = require("pdfkit");
+
+// Columns that are bookkeeping rather than content
+const SKIPPED_FIELDS = new Set(["project_id"]);
+
+function humanize(name) {
+  const text = String(name).replace(/_/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// node-pg returns DATE columns as local midnight
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (value instanceof Date) {
+    const pad = (number) => String(number).padStart(2, "0");
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    if (value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0) return date;
+    return `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function isDocument(value) {
+  return value !== null && typeof value === "object" && !(value instanceof Date);
+}
+
+function isEmptyDocument(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+/**
+ * Splits a row into sections of [label, text] pairs. Arrays of objects (PO
+ * items, MIR dynamic fields) get one section per element.
+ */
+function recordSections(row) {
+  const details = [];
+  const documents = [];
+
+  Object.entries(row).forEach(([field, value]) => {
+    if (SKIPPED_FIELDS.has(field)) return;
+    if (!isDocument(value)) {
+      details.push([humanize(field), formatValue(value)]);
+      return;
+    }
+    if (isEmptyDocument(value)) return;
+
+    if (Array.isArray(value)) {
+      value.forEach((element, index) => {
+        const fields = isDocument(element) && !Array.isArray(element)
+          ? Object.entries(element).map(([key, item]) => [humanize(key), formatValue(item)])
+          : [["Value", formatValue(element)]];
+        documents.push({ heading: `${humanize(field)} ${index + 1}`, fields });
+      });
+      return;
+    }
+    documents.push({
+      heading: humanize(field),
+      fields: Object.entries(value).map(([key, item]) => [humanize(key), formatValue(item)]),
+    });
+  });
+
+  return [{ heading: "Details", fields: details }, ...documents];
+}
+
+/**
+ * Resolves to a PDF Buffer for `row` headed by `title` and `subtitle`.
+ */
+function renderRecordPdf({ title, subtitle, row }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: title } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(title);
+    if (subtitle) doc.font("Helvetica").fontSize(10).fillColor("#555555").text(subtitle).fillColor("#000000");
+
+    recordSections(row).forEach((section) => {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(12).text(section.heading);
+      doc.moveDown(0.3);
+      section.fields.forEach(([label, text]) => {
+        doc.font("Helvetica-Bold").fontSize(9).text(`${label}: `, { continued: true });
+        doc.font("Helvetica").text(text);
+      });
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = { formatValue, renderRecordPdf };
@@ -0,0 +1,166 @@
+const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+const { hashToken, randomToken } = require("./tokens");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function newRefreshToken() {
+  return randomToken(48);
+}
+
+function buildAccessToken(user, sessionId) {
+  const payload = {
+    user_id: user.user_id,
+    email: user.email,
+    role: user.role,
+    session_id: sessionId,
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function describeClient(req) {
+  const userAgent = req.get("user-agent") || null;
+  const deviceName = req.body && req.body.device_name ? String(req.body.device_name).trim() : null;
+  return { userAgent, deviceName: deviceName || userAgent, ipAddress: req.ip || null };
+}
+
+/**
+ * Opens a new server-side session for `user` and returns the token pair the
+ * client should hold: a short-lived access JWT bound to the session and an
+ * opaque refresh token (only its hash is stored).
+ */
+async function createSession(user, req, db = pool) {
+  const refreshToken = newRefreshToken();
+  const client = describeClient(req);
+
+  const result = await db.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING session_id`,
+    [user.user_id, hashToken(refreshToken), client.deviceName, client.userAgent, client.ipAddress, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const sessionId = result.rows[0].session_id;
+  return {
+    token: buildAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the stored hash.
+ * Presenting an already-rotated token means it leaked, so the whole session is
+ * revoked. Returns null when the token is unknown, expired or revoked.
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const reused = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL
+     RETURNING session_id`,
+    [tokenHash]
+  );
+  if (reused.rowCount > 0) return null;
+
+  const nextToken = newRefreshToken();
+  const client = describeClient(req);
+
+  const result = await pool.query(
+    `UPDATE auth_sessions s
+     SET refresh_token_hash = $1,
+         previous_token_hash = s.refresh_token_hash,
+         last_used_at = NOW(),
+         ip_address = $2,
+         expires_at = NOW() + make_interval(days => $3)
+     FROM auth_users u
+     WHERE s.refresh_token_hash = $4
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.user_id = s.user_id
+       AND u.is_active
+     RETURNING s.session_id, u.user_id, u.email, u.role`,
+    [hashToken(nextToken), client.ipAddress, REFRESH_TOKEN_TTL_DAYS, tokenHash]
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    token: buildAccessToken(row, row.session_id),
+    refresh_token: nextToken,
+    expires_in: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Loads the live session behind an access token together with the user's
+ * current role, so revocations and role changes apply immediately. Also
+ * reports whether the role now requires 2FA that the user has not set up.
+ */
+async function findActiveSession(sessionId, userId) {
+  const result = await pool.query(
+    `SELECT s.session_id, u.user_id, u.email, u.role,
+            (COALESCE(p.require_two_factor, FALSE) AND NOT u.totp_enabled) AS two_factor_setup_required
+     FROM auth_sessions s
+     JOIN auth_users u ON u.user_id = s.user_id
+     LEFT JOIN auth_role_policies p ON p.role = u.role
+     WHERE s.session_id = $1 AND s.user_id = $2
+       AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND u.is_active`,
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0 ? result.rows[0] : null;
+}
+
+async function listActiveSessions(userId) {
+  const result = await pool.query(
+    `SELECT session_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function revokeSession(sessionId, userId) {
+  const result = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+async function revokeAllSessions(userId, db = pool) {
+  const result = await db.query(
+    "UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return result.rowCount;
+}
+
+// Used after a password change so only the session that made it stays signed in
+async function revokeOtherSessions(userId, keepSessionId) {
+  const result = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND session_id <> $2 AND revoked_at IS NULL`,
+    [userId, keepSessionId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+};
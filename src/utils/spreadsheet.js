@@ -0,0 +1,79 @@
+const path = require("path");
+const XLSX = require("xlsx");
+const { parse } = require("csv-parse/sync");
+
+const SPREADSHEET_EXTENSIONS = new Set([".csv", ".xlsx", ".xls"]);
+
+// "Phone Number " and "phone_number" should address the same column
+function normalizeHeader(header) {
+  return String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function isSpreadsheet(filename) {
+  return SPREADSHEET_EXTENSIONS.has(path.extname(filename || "").toLowerCase());
+}
+
+/**
+ * Parses an uploaded CSV or the first sheet of an Excel workbook into
+ * { headers, rows }. Headers are normalized with normalizeHeader, cell values
+ * are trimmed strings and each row carries its 1-based spreadsheet line in
+ * `__row` so validation errors can point back at the file. Fully blank rows
+ * are dropped.
+ *
+ * `options.sheet` picks a workbook sheet by name and `options.headerRow` the
+ * 1-based line holding the headers, for files with title rows above them.
+ * An unknown sheet throws.
+ */
+function readSpreadsheet(buffer, filename, options = {}) {
+  const extension = path.extname(filename || "").toLowerCase();
+  const headerIndex = options.headerRow ? options.headerRow - 1 : 0;
+  let records;
+
+  if (extension === ".csv") {
+    records = parse(buffer, { bom: true, relax_column_count: true, skip_empty_lines: false });
+  } else {
+    const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true });
+    const sheetName = options.sheet || workbook.SheetNames[0];
+    if (options.sheet && !workbook.SheetNames.includes(options.sheet)) {
+      throw new Error(`sheet "${options.sheet}" not found; the workbook has ${workbook.SheetNames.join(", ")}`);
+    }
+    const sheet = workbook.Sheets[sheetName];
+    records = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: true }) : [];
+  }
+
+  if (records.length <= headerIndex) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[headerIndex].map(normalizeHeader);
+  const rows = [];
+
+  records.slice(headerIndex + 1).forEach((record, index) => {
+    const values = record.map((value) => (value === null || value === undefined ? "" : String(value).trim()));
+    if (values.every((value) => value === "")) return;
+
+    const row = { __row: headerIndex + index + 2 };
+    headers.forEach((header, column) => {
+      if (header) row[header] = values[column] ?? "";
+    });
+    rows.push(row);
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Returns the first non-empty value among `aliases` in a parsed row.
+ */
+function pickColumn(row, aliases) {
+  for (const alias of aliases) {
+    if (row[alias] !== undefined && row[alias] !== "") return row[alias];
+  }
+  return "";
+}
+
+module.exports = { isSpreadsheet, normalizeHeader, readSpreadsheet, pickColumn };
@@ -0,0 +1,12 @@
+const crypto = require("crypto");
+
+// Opaque secrets (refresh, reset, invitation tokens) are stored only as SHA-256 digests
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+module.exports = { hashToken, randomToken };
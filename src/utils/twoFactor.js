@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+const { verifyTotp, decryptSecret } = require("./totp");
+
+const CHALLENGE_TTL = "5m";
+const CHALLENGE_PURPOSE = "two_factor_login";
+const RECOVERY_CODE_COUNT = 10;
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded. It has no
+ * session_id, so authenticate never accepts it as an access token.
+ */
+function buildChallengeToken(user) {
+  return jwt.sign(
+    { user_id: user.user_id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+function readChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.user_id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Replaces the user's recovery codes and returns the new plaintext codes;
+ * only their hashes are stored, so this is the one chance to show them.
+ */
+async function regenerateRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query("DELETE FROM auth_recovery_codes WHERE user_id = $1", [userId]);
+  await db.query(
+    `INSERT INTO auth_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const result = await pool.query(
+    `UPDATE auth_recovery_codes SET used_at = NOW()
+     WHERE code_id = (
+       SELECT code_id FROM auth_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING code_id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Verifies a TOTP code for a user row holding totp_secret and totp_last_step,
+ * recording the matched step so the same code cannot be replayed.
+ */
+async function verifyUserTotp(user, code) {
+  if (!user.totp_secret) return false;
+
+  const step = verifyTotp(decryptSecret(user.totp_secret), code);
+  if (step === null) return false;
+  if (user.totp_last_step !== null && user.totp_last_step !== undefined && step <= Number(user.totp_last_step)) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE auth_users SET totp_last_step = $1
+     WHERE user_id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+    [step, user.user_id]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  buildChallengeToken,
+  readChallengeToken,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode,
+  verifyUserTotp,
+};
@@ -0,0 +1,56 @@
+// Shared helpers for auth_users rows, used by the auth and invitation routes
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function normalizePhone(phoneNumber) {
+  return String(phoneNumber).trim();
+}
+
+// Accepts `project` (array or single value) or `project_list` as sent by clients
+function normalizeProjectList(project, projectList) {
+  if (Array.isArray(project)) return project.map((value) => String(value));
+  if (Array.isArray(projectList)) return projectList.map((value) => String(value));
+  if (project) return [String(project).trim()];
+  return [];
+}
+
+function sanitizeUser(row) {
+  return {
+    user_id: row.user_id,
+    username: row.name,
+    name: row.name,
+    email: row.email,
+    phone_number: row.phone_number,
+    role: row.role,
+    project_list: row.project_list || [],
+  };
+}
+
+/**
+ * Returns a conflict message when the email or phone number is already used
+ * by another account, otherwise null.
+ */
+async function findIdentityConflict(db, email, phoneNumber) {
+  const existing = await db.query(
+    "SELECT email, phone_number FROM auth_users WHERE email = $1 OR phone_number = $2",
+    [email, phoneNumber]
+  );
+
+  if (existing.rows.some((row) => row.email === email)) {
+    return "email already exists";
+  }
+  if (phoneNumber && existing.rows.some((row) => row.phone_number === phoneNumber)) {
+    return "phone number already exists";
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeProjectList,
+  sanitizeUser,
+  findIdentityConflict,
+};